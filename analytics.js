@@ -254,7 +254,10 @@ class AnalyticsManager {
     return {
       totalSearches: searchHistory.length,
       favoriteShows: Object.keys(favorites).length,
-      recentSearches: searchHistory.slice(0, 5),
+      // History entries are records; older versions stored bare terms
+      recentSearches: searchHistory
+        .slice(0, 5)
+        .map((entry) => entry.term ?? entry),
       userId: this.userId.split("_")[1] + "***", // Partial ID for privacy
       sessionTime: Math.round((Date.now() - this.startTime) / 1000 / 60), // minutes
     };
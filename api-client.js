@@ -0,0 +1,310 @@
+/**
+ * TVMaze API Client for TV Show Search App
+ * Single entry point for network requests, configured through AppConfig
+ */
+
+// Normalized error returned for every failed request
+class ApiError extends Error {
+  constructor(type, message, details = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.type = type;
+    this.status = details.status || null;
+    this.url = details.url || null;
+    this.cause = details.cause || null;
+  }
+}
+
+ApiError.TYPES = {
+  ABORTED: "aborted",
+  TIMEOUT: "timeout",
+  NETWORK: "network",
+  NOT_FOUND: "not_found",
+  RATE_LIMITED: "rate_limited",
+  SERVER: "server",
+  HTTP: "http",
+  UNKNOWN: "unknown",
+};
+
+class TVMazeApiClient {
+  constructor(config = window.AppConfig, cache = null) {
+    this.baseUrl = config.get("api.baseUrl");
+    this.timeout = config.get("api.timeout");
+    this.retries = config.get("api.retries");
+    this.retryDelay = config.get("api.retryDelay");
+
+    const httpConfig = { baseURL: this.baseUrl, timeout: this.timeout };
+
+    // Answer requests from local fixtures instead of the network
+    if (config.get("api.mode") === "mock") {
+      const mockApi = new MockTVMazeApi(
+        window.TVMAZE_FIXTURES,
+        config.get("api.mock")
+      );
+      httpConfig.adapter = mockApi.createAxiosAdapter();
+      console.warn("🧪 Using mock TVMaze API (fixtures)");
+    }
+
+    this.http = axios.create(httpConfig);
+
+    // Optional ResponseCache for stale-while-revalidate lookups
+    this.cache = cache;
+
+    // Every request is queued to stay inside the TVMaze rate window
+    this.scheduler = new RequestScheduler(config);
+  }
+
+  // ===================================================================
+  // ENDPOINTS
+  // ===================================================================
+
+  // Search shows by name, returns [{ score, show }]
+  searchShows(query, options = {}) {
+    return this.cachedGet("/search/shows", {
+      ...options,
+      params: { q: query },
+    });
+  }
+
+  // Search cast and crew by name, returns [{ score, person }]
+  searchPeople(query, options = {}) {
+    return this.cachedGet("/search/people", {
+      ...options,
+      params: { q: query },
+    });
+  }
+
+  // Shows a person acted in, with the show and character embedded
+  getPersonCastCredits(id, options = {}) {
+    return this.cachedGet(`/people/${encodeURIComponent(id)}/castcredits`, {
+      ...options,
+      params: { embed: ["show", "character"] },
+    });
+  }
+
+  // Shows a person worked on behind the camera, with the show embedded
+  getPersonCrewCredits(id, options = {}) {
+    return this.cachedGet(`/people/${encodeURIComponent(id)}/crewcredits`, {
+      ...options,
+      params: { embed: "show" },
+    });
+  }
+
+  // Fetch one page of the full show index (250 shows per page)
+  getShows(page = 0, options = {}) {
+    return this.cachedGet("/shows", { ...options, params: { page } });
+  }
+
+  // Fetch a single show by its TVMaze ID
+  getShow(id, options = {}) {
+    return this.get(`/shows/${encodeURIComponent(id)}`, options);
+  }
+
+  // Alternate titles: [{ name, country }] where country may be null
+  getShowAkas(id, options = {}) {
+    return this.cachedGet(`/shows/${encodeURIComponent(id)}/akas`, options);
+  }
+
+  // Every episode of a show, oldest first
+  getShowEpisodes(id, options = {}) {
+    return this.cachedGet(`/shows/${encodeURIComponent(id)}/episodes`, options);
+  }
+
+  // A show with its cast, seasons and episodes embedded
+  getShowDetails(id, options = {}) {
+    return this.cachedGet(`/shows/${encodeURIComponent(id)}`, {
+      ...options,
+      params: { embed: ["cast", "seasons", "episodes"] },
+    });
+  }
+
+  // Resolve an external ID (imdb, thetvdb or tvrage) to a TVMaze show.
+  // TVMaze answers with a redirect to /shows/:id, which the browser follows
+  lookupShow(type, id, options = {}) {
+    return this.cachedGet("/lookup/shows", {
+      ...options,
+      params: { [type]: id },
+    });
+  }
+
+  // Episodes airing on broadcast TV in a country on a date (YYYY-MM-DD)
+  getSchedule(country, date, options = {}) {
+    return this.cachedGet("/schedule", {
+      ...options,
+      params: { country, date },
+    });
+  }
+
+  // Episodes released on streaming services on a date (YYYY-MM-DD)
+  getWebSchedule(date, options = {}) {
+    return this.cachedGet("/schedule/web", { ...options, params: { date } });
+  }
+
+  // Map of show ID to last-updated timestamp; since is day, week or month
+  getShowUpdates(since = null, options = {}) {
+    return this.get("/updates/shows", {
+      ...options,
+      params: since ? { since } : {},
+    });
+  }
+
+  // ===================================================================
+  // REQUEST HANDLING
+  // ===================================================================
+
+  // Perform a GET request, retrying transient failures with backoff.
+  // background requests yield to the rest (see RequestScheduler).
+  async get(path, { params, signal, background = false } = {}) {
+    let attempt = 0;
+
+    while (true) {
+      try {
+        const response = await this.scheduler.schedule(
+          () => this.http.get(path, { params, signal }),
+          signal,
+          { background }
+        );
+        return response.data;
+      } catch (error) {
+        const apiError = this.normalizeError(error);
+
+        if (attempt >= this.retries || !this.isRetryable(apiError)) {
+          throw apiError;
+        }
+
+        await this.wait(this.getBackoffDelay(attempt), signal);
+        attempt++;
+      }
+    }
+  }
+
+  // GET through the response cache. Fresh entries are returned directly;
+  // expired ones are returned immediately and revalidated in the
+  // background, calling onUpdate(data) only if the response changed.
+  async cachedGet(path, { params, signal, onUpdate, background } = {}) {
+    if (!this.cache) {
+      return this.get(path, { params, signal, background });
+    }
+
+    const key = this.cache.buildKey(path, params);
+    const entry = await this.cache.get(key);
+
+    if (entry && this.cache.isFresh(entry)) {
+      return entry.data;
+    }
+
+    if (entry) {
+      this.revalidate(path, params, key, entry.data, onUpdate);
+      return entry.data;
+    }
+
+    const data = await this.get(path, { params, signal, background });
+    this.cache.set(key, data, this.cache.getTtl(path));
+    return data;
+  }
+
+  // Refresh a stale cache entry without blocking the caller
+  async revalidate(path, params, key, cachedData, onUpdate) {
+    try {
+      const data = await this.get(path, { params });
+      await this.cache.set(key, data, this.cache.getTtl(path));
+
+      if (onUpdate && JSON.stringify(data) !== JSON.stringify(cachedData)) {
+        onUpdate(data);
+      }
+    } catch (error) {
+      console.warn(`Background refresh failed for ${key}:`, error);
+    }
+  }
+
+  // Map axios/network errors onto a typed ApiError
+  normalizeError(error) {
+    if (error instanceof ApiError) return error;
+
+    const { TYPES } = ApiError;
+    const url = error.config?.url || null;
+
+    if (axios.isCancel(error) || error.name === "AbortError") {
+      return new ApiError(TYPES.ABORTED, "Request cancelled", {
+        url,
+        cause: error,
+      });
+    }
+
+    if (
+      error.code === "ECONNABORTED" ||
+      error.code === "ETIMEDOUT" ||
+      (error.message && error.message.includes("timeout"))
+    ) {
+      return new ApiError(TYPES.TIMEOUT, "Request timed out", {
+        url,
+        cause: error,
+      });
+    }
+
+    if (error.response) {
+      const status = error.response.status;
+      let type = TYPES.HTTP;
+
+      if (status === 404) type = TYPES.NOT_FOUND;
+      else if (status === 429) type = TYPES.RATE_LIMITED;
+      else if (status >= 500) type = TYPES.SERVER;
+
+      return new ApiError(type, `Request failed with status ${status}`, {
+        status,
+        url,
+        cause: error,
+      });
+    }
+
+    if (error.request) {
+      return new ApiError(TYPES.NETWORK, "Network error", {
+        url,
+        cause: error,
+      });
+    }
+
+    return new ApiError(TYPES.UNKNOWN, error.message || "Unknown error", {
+      url,
+      cause: error,
+    });
+  }
+
+  // Only transient failures are worth retrying
+  isRetryable(apiError) {
+    const { TYPES } = ApiError;
+    return [TYPES.TIMEOUT, TYPES.NETWORK, TYPES.SERVER].includes(
+      apiError.type
+    );
+  }
+
+  // Exponential backoff with a little jitter to avoid request bursts
+  getBackoffDelay(attempt) {
+    const jitter = Math.random() * this.retryDelay * 0.2;
+    return this.retryDelay * Math.pow(2, attempt) + jitter;
+  }
+
+  // Resolve after a delay, rejecting early if the request is aborted
+  wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new ApiError(ApiError.TYPES.ABORTED, "Request cancelled"));
+        return;
+      }
+
+      const timer = setTimeout(resolve, ms);
+      signal?.addEventListener(
+        "abort",
+        () => {
+          clearTimeout(timer);
+          reject(new ApiError(ApiError.TYPES.ABORTED, "Request cancelled"));
+        },
+        { once: true }
+      );
+    });
+  }
+}
+
+// Export for use in main app
+window.ApiError = ApiError;
+window.TVMazeApiClient = TVMazeApiClient;
@@ -15,13 +15,9 @@
 
 class EnhancedTVShowApp {
   constructor() {
-    this.baseURL = "https://api.tvmaze.com/search/shows";
     this.searchTimeout = null;
     this.lastSearchTerm = "";
     this.abortController = null;
-    this.searchHistory = JSON.parse(
-      localStorage.getItem("tvshow_search_history") || "[]"
-    );
     this.favorites = JSON.parse(
       localStorage.getItem("tvshow_favorites") || "{}"
     );
@@ -29,10 +25,34 @@ class EnhancedTVShowApp {
     this.filteredResults = [];
     this.searchStartTime = 0;
     this.suggestionIndex = -1;
+    this.suggestedShows = []; // Title suggestions for the current input
+    this.suggestedTerms = []; // History matches for the current input
+    this.suggestTimeout = null;
+    this.suggestController = null;
     this.isShowingFavoritesOnly = false;
     this.currentViewMode = localStorage.getItem("tvshow_view_mode") || "grid";
-    this.availableChannels = new Set();
     this.selectedChannel = null;
+    this.facets = new FacetFilters();
+    this.facetOptions = {}; // Facet field -> option values as rendered
+    this.openFacets = new Set(["genre"]); // Expanded facet groups
+    this.page = 1; // Infinite scroll: pages rendered so far; pages: current
+    this.pageObserver = null;
+    this.isLoadingPage = false;
+    this.sorter = new ResultSorter();
+    this.sortReverse = false;
+    this.episodeStats = new Map(); // Show ID -> { episodeCount, lastAired }
+    this.episodeStatsController = null;
+    this.episodeStatsKey = null; // Show IDs the running load is for
+    this.searchMode = "shows"; // "people" while the People toggle is on
+    this.queryParser = new SearchQueryParser();
+    this.queryFilters = {}; // Qualifiers from the last query, e.g. year:2015..
+    this.currentPeople = [];
+    this.isShowingPeople = false;
+    this.router = null; // Set up once the app is ready to restore the URL
+    this.routeSearch = null; // { q } or { channel } for the search on screen
+    this.routeShow = null; // "source:sourceId" of the open detail view
+    this.isRestoringRoute = false;
+    this.isReplacingRoute = false;
 
     // Initialize analytics
     this.analytics = new AnalyticsManager();
@@ -42,16 +62,35 @@ class EnhancedTVShowApp {
       this.responsiveEnhancements = new ResponsiveEnhancements(this);
     }
 
-    // Configure Axios defaults
-    axios.defaults.timeout = 10000;
+    // All TVMaze requests go through the shared API client
+    this.cache = new ResponseCache(window.AppConfig);
+    this.api = new TVMazeApiClient(window.AppConfig, this.cache);
+
+    // Local copy of the full show index for channel browsing
+    this.catalog = new CatalogStore(this.api, window.AppConfig);
+
+    // Every show source maps onto the same normalized show model
+    this.providers = this.createProviders(window.AppConfig);
+    this.provider =
+      this.providers[localStorage.getItem("tvshow_data_source")] ||
+      this.providers[window.AppConfig.get("providers.default")] ||
+      this.providers.tvmaze;
 
     this.initializeElements();
     this.attachEventListeners();
+    this.setupDataSources();
+    this.scheduleView = new ScheduleView(this);
+    this.releaseCalendar = new ReleaseCalendar(this);
+    this.savedSearches = new SavedSearches(this);
+    this.searchHistory = new SearchHistory(this);
     this.setupAxiosInterceptors();
+    this.setupRateLimitNotice();
+    this.setupCatalogSync();
+    this.setupOfflineMode();
     this.setupKeyboardShortcuts();
-    this.initializeGenreFilter();
     this.setViewMode(this.currentViewMode);
     this.setupScrollToTop();
+    this.setupRouting();
 
     // Show welcome message
     this.showToast(
@@ -69,6 +108,7 @@ class EnhancedTVShowApp {
     this.elements = {
       form: document.getElementById("search-form"),
       input: document.getElementById("search-input"),
+      queryFeedback: document.getElementById("query-feedback"),
       clearButton: document.getElementById("clear-search"),
       suggestions: document.getElementById("search-suggestions"),
       loading: document.getElementById("loading"),
@@ -76,14 +116,20 @@ class EnhancedTVShowApp {
       errorMessage: document.getElementById("error-message"),
       retryButton: document.getElementById("retry-button"),
       results: document.getElementById("results"),
+      resultsPager: document.getElementById("results-pager"),
       resultsStats: document.getElementById("results-stats"),
       resultsCount: document.getElementById("results-count"),
       searchTime: document.getElementById("search-time"),
-      genreFilter: document.getElementById("genre-filter"),
-      statusFilter: document.getElementById("status-filter"),
-      channelFilter: document.getElementById("channel-filter"),
+      facetFilters: document.getElementById("facet-filters"),
       sortFilter: document.getElementById("sort-filter"),
+      sortSecondary: document.getElementById("sort-secondary"),
+      sortDirection: document.getElementById("sort-direction"),
+      sortStatus: document.getElementById("sort-status"),
+      sourceFilter: document.getElementById("source-filter"),
+      sourceFilterGroup: document.getElementById("source-filter-group"),
       toggleFavorites: document.getElementById("toggle-favorites"),
+      togglePeople: document.getElementById("toggle-people"),
+      personProfile: document.getElementById("person-profile"),
       gridView: document.getElementById("grid-view"),
       listView: document.getElementById("list-view"),
       scrollToTop: document.getElementById("scroll-to-top"),
@@ -94,6 +140,17 @@ class EnhancedTVShowApp {
       genrePills: document.querySelectorAll(".genre-pill"),
       clearFiltersBtn: document.getElementById("clear-filters"),
       toastContainer: document.getElementById("toast-container"),
+      rateLimitNotice: document.getElementById("rate-limit-notice"),
+      rateLimitMessage: document.getElementById("rate-limit-message"),
+      catalogNotice: document.getElementById("catalog-notice"),
+      catalogMessage: document.getElementById("catalog-message"),
+      catalogStatus: document.getElementById("catalog-status"),
+      catalogStatusText: document.getElementById("catalog-status-text"),
+      catalogSyncButton: document.getElementById("catalog-sync-button"),
+      offlineNotice: document.getElementById("offline-notice"),
+      showDetail: document.getElementById("show-detail"),
+      showDetailBody: document.getElementById("show-detail-body"),
+      closeShowDetail: document.getElementById("close-show-detail"),
     };
   }
 
@@ -122,18 +179,69 @@ class EnhancedTVShowApp {
       this.handleSearch();
     });
 
-    // Filter changes
-    this.elements.genreFilter.addEventListener("change", () =>
-      this.applyFilters()
-    );
-    this.elements.statusFilter.addEventListener("change", () =>
-      this.applyFilters()
+    // Facet checkboxes, range inputs and match modes; qualifiers typed in
+    // the search box follow along
+    this.elements.facetFilters.addEventListener("change", (e) => {
+      const input = e.target;
+
+      if (input.name === "genre-mode") {
+        this.facets.genreMode = input.value;
+        this.syncFacetQualifier("genre");
+      } else if (input.name === "year-mode") {
+        this.facets.yearMode = input.value;
+        this.syncRangeQualifier("year");
+      } else if (input.dataset.range) {
+        const value = input.value === "" ? null : Number(input.value);
+        const field = input.dataset.range;
+        this.facets.setRange(
+          field,
+          input.dataset.bound,
+          Number.isFinite(value) ? value : null
+        );
+        if (value !== null) this.analytics.trackFilterUsage(field, input.value);
+        this.syncRangeQualifier(field);
+      } else if (input.dataset.facet) {
+        const field = input.dataset.facet;
+        const value = this.facetOptions[field][Number(input.dataset.index)];
+        this.facets.toggle(field, value, input.checked);
+        if (input.checked) this.analytics.trackFilterUsage(field, value);
+        this.syncFacetQualifier(field);
+      } else {
+        return;
+      }
+
+      this.applyFilters({ scroll: false });
+    });
+    // Enter in a range input applies it rather than submitting the search
+    this.elements.facetFilters.addEventListener("keydown", (e) => {
+      if (e.key !== "Enter" || !e.target.dataset.range) return;
+      e.preventDefault();
+      e.target.dispatchEvent(new Event("change", { bubbles: true }));
+    });
+    // Remember which facet groups are expanded across re-renders
+    this.elements.facetFilters.addEventListener(
+      "toggle",
+      (e) => {
+        const group = e.target.dataset?.facetGroup;
+        if (!group) return;
+        if (e.target.open) {
+          this.openFacets.add(group);
+        } else {
+          this.openFacets.delete(group);
+        }
+      },
+      true
     );
-    this.elements.channelFilter.addEventListener("change", () =>
+    this.elements.sortFilter.addEventListener("change", (e) => {
+      const sort = e.target.value;
+      this.syncQualifier("sort", sort === "relevance" ? "" : sort);
+      this.applyFilters();
+    });
+    this.elements.sortSecondary.addEventListener("change", () =>
       this.applyFilters()
     );
-    this.elements.sortFilter.addEventListener("change", () =>
-      this.applyFilters()
+    this.elements.sortDirection.addEventListener("click", () =>
+      this.setSortReverse(!this.sortReverse)
     );
 
     // Favorites toggle
@@ -141,6 +249,16 @@ class EnhancedTVShowApp {
       this.toggleFavoritesView();
     });
 
+    // People search toggle
+    this.elements.togglePeople.addEventListener("click", () =>
+      this.togglePeopleMode()
+    );
+
+    // Back from a filmography to the people results
+    this.elements.personProfile.addEventListener("click", (e) => {
+      if (e.target.closest(".person-back")) this.renderPeople();
+    });
+
     // View mode toggles
     this.elements.gridView.addEventListener("click", () =>
       this.setViewMode("grid")
@@ -166,12 +284,39 @@ class EnhancedTVShowApp {
         this.hideKeyboardShortcuts();
     });
 
+    // Show cards open the detail view, person cards the filmography.
+    // Delegated, as cards are recycled while scrolling long results.
+    this.elements.results.addEventListener("click", (e) => {
+      const favoriteButton = e.target.closest(".favorite-button");
+      if (favoriteButton) {
+        this.toggleFavorite(favoriteButton.dataset.showId, favoriteButton);
+        return;
+      }
+
+      const card = e.target.closest(".show-card");
+      if (card) this.activateCard(card);
+    });
+    this.elements.results.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" && e.target.classList.contains("show-card")) {
+        e.preventDefault();
+        this.activateCard(e.target);
+      }
+    });
+
+    // Show detail modal
+    this.elements.closeShowDetail.addEventListener("click", () =>
+      this.hideShowDetail()
+    );
+    this.elements.showDetail.addEventListener("click", (e) => {
+      if (e.target === this.elements.showDetail) this.hideShowDetail();
+    });
+
     // Category items (channels/streaming services)
     this.elements.categoryItems.forEach((item) => {
       item.addEventListener("click", () => {
         const channel = item.dataset.channel;
         if (channel) {
-          this.searchByChannel(channel, item);
+          this.searchByChannel(channel);
         }
       });
     });
@@ -181,7 +326,7 @@ class EnhancedTVShowApp {
       pill.addEventListener("click", () => {
         const genre = pill.dataset.search;
         this.elements.input.value = genre;
-        this.performSearch(genre);
+        this.performSearch(genre, { type: "genre" });
         this.hideSearchInterface();
       });
     });
@@ -207,8 +352,62 @@ class EnhancedTVShowApp {
     });
   }
 
+  // TVMaze is always available; a static catalog joins when configured
+  createProviders(config) {
+    const providers = {
+      tvmaze: new TVMazeProvider(this.api, this.catalog),
+    };
+
+    const catalog = config.get("providers.catalog");
+    if (catalog?.url) {
+      providers.catalog = new StaticCatalogProvider(catalog);
+    }
+
+    return providers;
+  }
+
+  setupDataSources() {
+    const { sourceFilter, sourceFilterGroup } = this.elements;
+    const providers = Object.values(this.providers);
+
+    // Nothing to choose between with a single source
+    if (providers.length < 2) return;
+
+    sourceFilter.innerHTML = "";
+    providers.forEach((provider) => {
+      const option = document.createElement("option");
+      option.value = provider.id;
+      const icon = provider.id === "tvmaze" ? "📡" : "🗂️";
+      option.textContent = `${icon} ${provider.label}`;
+      sourceFilter.appendChild(option);
+    });
+
+    sourceFilter.value = this.provider.id;
+    sourceFilterGroup.classList.remove("hidden");
+    sourceFilter.addEventListener("change", () =>
+      this.setDataSource(sourceFilter.value)
+    );
+  }
+
+  // Switch sources and repeat the current search against the new one
+  setDataSource(id) {
+    const provider = this.providers[id];
+    if (!provider || provider === this.provider) return;
+
+    this.provider = provider;
+    localStorage.setItem("tvshow_data_source", id);
+    this.showToast(`Searching ${provider.label}`, "info");
+
+    const searchTerm = this.elements.input.value.trim();
+    if (searchTerm.length >= 2) {
+      this.performSearch(searchTerm);
+    } else {
+      this.clearResults();
+    }
+  }
+
   setupAxiosInterceptors() {
-    axios.interceptors.request.use(
+    this.api.http.interceptors.request.use(
       (config) => {
         console.log(`Making request to: ${config.url}`);
         return config;
@@ -216,7 +415,7 @@ class EnhancedTVShowApp {
       (error) => Promise.reject(error)
     );
 
-    axios.interceptors.response.use(
+    this.api.http.interceptors.response.use(
       (response) => {
         console.log(`Received response from: ${response.config.url}`);
         return response;
@@ -228,6 +427,72 @@ class EnhancedTVShowApp {
     );
   }
 
+  setupRateLimitNotice() {
+    this.rateLimitTimer = null;
+    this.api.scheduler.onStateChange((state) =>
+      this.updateRateLimitNotice(state)
+    );
+  }
+
+  // Non-blocking notice while queued requests wait out a 429
+  updateRateLimitNotice(state) {
+    clearInterval(this.rateLimitTimer);
+
+    if (!state.rateLimited) {
+      this.elements.rateLimitNotice.classList.add("hidden");
+      return;
+    }
+
+    const updateCountdown = () => {
+      const seconds = Math.max(
+        Math.ceil((state.resumeAt - Date.now()) / 1000),
+        0
+      );
+      this.elements.rateLimitMessage.textContent = `Waiting for rate limit... resuming in ${seconds}s`;
+    };
+
+    updateCountdown();
+    this.rateLimitTimer = setInterval(updateCountdown, 1000);
+    this.elements.rateLimitNotice.classList.remove("hidden");
+  }
+
+  // App shell, cached API responses and posters are served by sw.js
+  setupOfflineMode() {
+    window.addEventListener("online", () => {
+      this.updateOfflineNotice();
+      this.showToast("Back online", "success");
+    });
+    window.addEventListener("offline", () => this.updateOfflineNotice());
+    this.updateOfflineNotice();
+
+    if ("serviceWorker" in navigator && window.location.protocol !== "file:") {
+      const apiBase = encodeURIComponent(window.AppConfig.get("api.baseUrl"));
+      navigator.serviceWorker
+        .register(`sw.js?api=${apiBase}`)
+        .catch((error) =>
+          console.warn("Service worker registration failed:", error)
+        );
+    }
+  }
+
+  updateOfflineNotice() {
+    this.elements.offlineNotice.classList.toggle("hidden", navigator.onLine);
+  }
+
+  // A request failed while offline: keep the last results on screen
+  showOfflineState() {
+    this.updateOfflineNotice();
+
+    if (this.currentResults.length > 0) {
+      this.applyFilters();
+      this.showToast("Offline — showing cached results", "info");
+    } else {
+      this.showError(
+        "You're offline and this search hasn't been cached yet. Favorites and search history are still available."
+      );
+    }
+  }
+
   setupKeyboardShortcuts() {
     document.addEventListener("keydown", (e) => {
       // Don't interfere when typing in inputs
@@ -235,12 +500,21 @@ class EnhancedTVShowApp {
         return;
       }
 
+      // Only Escape applies while the detail view is open
+      const detailOpen = !this.elements.showDetail.classList.contains("hidden");
+      if (detailOpen && e.key !== "Escape") return;
+
       switch (e.key) {
         case "/":
           e.preventDefault();
           this.elements.input.focus();
           break;
         case "Escape":
+          // Close the detail view without losing the results behind it
+          if (detailOpen) {
+            this.hideShowDetail();
+            break;
+          }
           this.clearSearch();
           this.hideSuggestions();
           this.hideKeyboardShortcuts();
@@ -250,6 +524,11 @@ class EnhancedTVShowApp {
           e.preventDefault();
           this.toggleFavoritesView();
           break;
+        case "p":
+        case "P":
+          e.preventDefault();
+          this.togglePeopleMode();
+          break;
         case "c":
         case "C":
           e.preventDefault();
@@ -273,37 +552,6 @@ class EnhancedTVShowApp {
     });
   }
 
-  initializeGenreFilter() {
-    // Popular TV genres
-    const genres = [
-      "Drama",
-      "Comedy",
-      "Action",
-      "Thriller",
-      "Horror",
-      "Science-Fiction",
-      "Fantasy",
-      "Romance",
-      "Crime",
-      "Mystery",
-      "Adventure",
-      "Animation",
-      "Documentary",
-      "Family",
-      "Music",
-      "War",
-      "Western",
-      "History",
-    ];
-
-    genres.forEach((genre) => {
-      const option = document.createElement("option");
-      option.value = genre;
-      option.textContent = genre;
-      this.elements.genreFilter.appendChild(option);
-    });
-  }
-
   updateClearButton(value) {
     if (value) {
       this.elements.clearButton.classList.remove("hidden");
@@ -313,19 +561,27 @@ class EnhancedTVShowApp {
   }
 
   clearSearch() {
+    this.routeSearch = null;
+    this.hideQueryFeedback();
     this.elements.input.value = "";
     this.elements.input.focus();
     this.updateClearButton("");
     this.clearResults();
     this.hideSuggestions();
-    this.showQuickSearch();
+    this.showSearchInterface();
+    this.updateRoute({ push: true });
   }
 
   clearAllFilters() {
-    this.elements.genreFilter.value = "";
-    this.elements.statusFilter.value = "";
-    this.elements.channelFilter.value = "";
+    this.facets.clear();
+    this.facets.genreMode = "and";
+    this.facets.yearMode = "premiered";
     this.elements.sortFilter.value = "relevance";
+    this.elements.sortSecondary.value = "";
+    this.sortReverse = false;
+    this.elements.sortDirection.setAttribute("aria-pressed", "false");
+    this.queryFilters = {};
+    this.hideQueryFeedback();
 
     // Clear channel selection
     this.selectedChannel = null;
@@ -334,17 +590,18 @@ class EnhancedTVShowApp {
     );
 
     // Clear favorites filter if active
-    if (this.isShowingFavoritesOnly) {
-      this.toggleFavoritesView();
-    }
+    this.setFavoritesOnly(false);
 
     // Clear search input
     this.elements.input.value = "";
     this.updateClearButton("");
 
     // Clear results and show search interface
+    this.routeSearch = null;
     this.clearResults();
+    this.hideScheduleViews();
     this.showSearchInterface();
+    this.updateRoute({ push: true });
 
     this.showToast("All filters cleared", "info");
   }
@@ -353,6 +610,9 @@ class EnhancedTVShowApp {
     const searchInterface = document.querySelector(".search-interface");
     if (searchInterface && this.elements.input.value.trim() === "") {
       searchInterface.style.display = "block";
+      // Refresh the "last run" and "searched" times
+      this.savedSearches.render();
+      this.searchHistory.render();
     }
   }
 
@@ -363,35 +623,32 @@ class EnhancedTVShowApp {
     }
   }
 
-  async searchByChannel(channel, clickedItem) {
+  async searchByChannel(channel) {
     try {
       // Update UI to show selected channel
       this.elements.categoryItems.forEach((item) =>
-        item.classList.remove("active")
+        item.classList.toggle("active", item.dataset.channel === channel)
       );
-      clickedItem.classList.add("active");
       this.selectedChannel = channel;
+      this.cancelEpisodeStats();
+      this.setQueryFilters({});
+      this.routeSearch = { channel };
+      this.updateRoute({ push: true });
+      this.searchHistory.add(channel, { type: "channel" });
 
       this.showLoading();
       this.hideSearchInterface();
+      this.hideScheduleViews();
+      this.hidePersonProfile();
       this.searchStartTime = performance.now();
 
-      // Search for shows by channel/network
-      const response = await axios.get(`https://api.tvmaze.com/shows`, {
-        signal: this.abortController?.signal,
-      });
+      // Null when the source can't browse channels (e.g. no IndexedDB)
+      const results = await this.provider.browseChannel(channel);
 
-      // Filter shows by the selected channel/network
-      const channelShows = response.data.filter((show) => {
-        const network = show.network?.name || show.webChannel?.name || "";
-        return (
-          network.toLowerCase().includes(channel.toLowerCase()) ||
-          channel.toLowerCase().includes(network.toLowerCase())
-        );
-      });
+      // The user may have picked another channel during the sync
+      if (this.selectedChannel !== channel) return;
 
-      // Convert to the same format as search results
-      this.currentResults = channelShows.map((show) => ({ show }));
+      this.currentResults = results || [];
 
       if (this.currentResults.length === 0) {
         // Fallback to search if no direct matches
@@ -409,19 +666,151 @@ class EnhancedTVShowApp {
       // Fallback to regular search
       await this.searchChannelFallback(channel);
     } finally {
-      this.hideLoading();
+      if (this.selectedChannel === channel) {
+        this.hideLoading();
+      }
+    }
+  }
+
+  setupCatalogSync() {
+    // Build the local search index up front so the first searches are instant
+    this.providers.tvmaze.buildIndex();
+
+    this.catalog.onProgress((progress) => {
+      if (progress.phase === "crawl") {
+        this.updateCatalogNotice(progress);
+        if (progress.done) this.indexCatalogAkas();
+      }
+      this.refreshCatalogStatus(progress);
+    });
+
+    this.elements.catalogSyncButton.addEventListener("click", () =>
+      this.syncCatalog({ notify: true })
+    );
+
+    // Refresh the "synced ... ago" label and sync once the interval passes;
+    // in between, fill in alternate titles the index is still missing
+    const syncInterval = window.AppConfig.get("catalog.syncInterval");
+    const checkCatalog = async () => {
+      const status = await this.refreshCatalogStatus();
+      if (!navigator.onLine || !status?.complete || status.syncing) return;
+
+      if (Date.now() - status.lastSyncedAt >= syncInterval) {
+        this.syncCatalog();
+      } else {
+        this.indexCatalogAkas();
+      }
+    };
+
+    checkCatalog();
+    setInterval(checkCatalog, 60000);
+  }
+
+  // Pull changed shows into the local catalog via /updates/shows
+  async syncCatalog({ notify = false } = {}) {
+    try {
+      const updatedShows = await this.catalog.sync();
+      this.refreshFavorites(updatedShows);
+      this.indexCatalogAkas();
+
+      if (notify) {
+        this.showToast(
+          updatedShows.length > 0
+            ? `Catalog updated: ${updatedShows.length} shows changed`
+            : "Catalog is up to date",
+          "success"
+        );
+      }
+    } catch (error) {
+      console.error("Catalog sync error:", error);
+      this.elements.catalogStatusText.textContent =
+        "Catalog sync failed. Will retry later.";
+      if (notify) {
+        this.showToast("Catalog sync failed", "error");
+      }
+    }
+  }
+
+  // Alternate titles for the most popular catalog shows, in the background
+  indexCatalogAkas() {
+    this.catalog.indexAkas().catch((error) => {
+      console.warn("Alternate title indexing failed:", error);
+    });
+  }
+
+  // Sync status line under the channel categories
+  async refreshCatalogStatus(progress = null) {
+    if (!(await this.catalog.isAvailable())) {
+      this.elements.catalogStatus.classList.add("hidden");
+      return null;
+    }
+
+    const status = await this.catalog.getStatus();
+    let text;
+
+    if (progress && !progress.done) {
+      if (progress.phase === "crawl") {
+        text = `Downloading catalog... ${progress.total.toLocaleString()} shows`;
+      } else if (progress.phase === "akas") {
+        text = `Indexing alternate titles... ${progress.indexed}/${progress.total}`;
+      } else {
+        text = `Syncing changes... ${progress.synced}/${progress.total}`;
+      }
+    } else if (!status.complete) {
+      text = "Catalog downloads the first time you browse a channel";
+    } else {
+      text = `${status.total.toLocaleString()} shows · synced ${this.formatRelativeTime(
+        status.lastSyncedAt
+      )}`;
+    }
+
+    this.elements.catalogStatusText.textContent = text;
+    this.elements.catalogSyncButton.disabled =
+      !status.complete || status.syncing;
+    this.elements.catalogStatus.classList.remove("hidden");
+    return status;
+  }
+
+  // Keep stored favorite names and posters in step with the catalog
+  refreshFavorites(shows) {
+    let changed = false;
+
+    shows.forEach((show) => {
+      const favorite = this.favorites[show.id];
+      if (!favorite) return;
+
+      favorite.name = show.name;
+      favorite.image = show.image?.medium;
+      changed = true;
+    });
+
+    if (changed) {
+      localStorage.setItem("tvshow_favorites", JSON.stringify(this.favorites));
+    }
+  }
+
+  // Progress notice shown while the local catalog is being built
+  updateCatalogNotice({ page, total, done }) {
+    if (done) {
+      this.elements.catalogNotice.classList.add("hidden");
+      return;
     }
+
+    this.elements.catalogMessage.textContent =
+      page === 0
+        ? "Building local show catalog..."
+        : `Building local show catalog... ${total.toLocaleString()} shows (page ${page})`;
+    this.elements.catalogNotice.classList.remove("hidden");
   }
 
   async searchChannelFallback(channel) {
     try {
       // Fallback: search for the channel name
-      const response = await axios.get(this.baseURL, {
-        params: { q: channel },
+      const results = await this.provider.search(channel, {
         signal: this.abortController?.signal,
       });
 
-      this.currentResults = response.data || [];
+      this.currentResults = results || [];
       this.displayResults(this.currentResults, `"${channel}" related shows`);
 
       if (this.currentResults.length > 0) {
@@ -451,49 +840,173 @@ class EnhancedTVShowApp {
       return;
     }
 
+    // Results fill in behind the suggestions, which stay open while typing
     this.searchTimeout = setTimeout(() => {
-      this.performSearch(searchTerm);
+      this.performSearch(searchTerm, { keepSuggestions: true });
     }, 300); // Reduced delay for better UX
   }
 
+  // History matches straight away, show titles once typing pauses
   showSearchSuggestions(searchTerm) {
+    clearTimeout(this.suggestTimeout);
+    this.suggestController?.abort();
+
     if (!searchTerm || searchTerm.length < 2) {
+      this.suggestedShows = [];
       this.hideSuggestions();
       return;
     }
 
-    // Show suggestions from search history
-    const suggestions = this.searchHistory
+    // Previous titles stay up until the new ones arrive, to avoid flicker
+    this.renderSuggestions(searchTerm);
+
+    const titleQuery = this.getSuggestionQuery(searchTerm);
+    if (!titleQuery) {
+      this.suggestedShows = [];
+      this.renderSuggestions(searchTerm);
+      return;
+    }
+
+    this.suggestTimeout = setTimeout(
+      () => this.loadTitleSuggestions(searchTerm, titleQuery),
+      window.AppConfig.get("search.suggestDelay")
+    );
+  }
+
+  // Free text to look titles up by, or null for people searches, external
+  // IDs and queries that are (almost) all qualifiers
+  getSuggestionQuery(searchTerm) {
+    if (
+      this.parseExternalId(searchTerm) ||
+      this.parsePersonQuery(searchTerm) !== null
+    ) {
+      return null;
+    }
+
+    const text = this.sanitizeInput(this.queryParser.parse(searchTerm).text);
+    return text.length >= 2 ? text : null;
+  }
+
+  async loadTitleSuggestions(searchTerm, titleQuery) {
+    const controller = new AbortController();
+    this.suggestController = controller;
+
+    try {
+      const results = await this.provider.suggest(titleQuery, {
+        limit: window.AppConfig.get("search.suggestions"),
+        signal: controller.signal,
+      });
+
+      // Ignore answers for input the user has already changed
+      if (this.suggestController !== controller) return;
+      this.suggestedShows = results.map((result) => result.show);
+      this.renderSuggestions(searchTerm);
+    } catch (error) {
+      if (this.api.normalizeError(error).type !== ApiError.TYPES.ABORTED) {
+        console.warn("Title suggestions failed:", error);
+      }
+    }
+  }
+
+  renderSuggestions(searchTerm) {
+    const history = this.searchHistory
+      .getTerms()
       .filter((term) => term.toLowerCase().includes(searchTerm.toLowerCase()))
       .slice(0, 5);
+    this.suggestedTerms = history;
 
-    if (suggestions.length > 0) {
-      const suggestionsHTML = suggestions
-        .map(
-          (suggestion, index) =>
-            `<div class="suggestion-item" data-index="${index}">${this.escapeHtml(
-              suggestion
-            )}</div>`
-        )
-        .join("");
-
-      this.elements.suggestions.innerHTML = suggestionsHTML;
-      this.elements.suggestions.classList.remove("hidden");
-      this.suggestionIndex = -1;
-
-      // Add click listeners to suggestions
-      this.elements.suggestions
-        .querySelectorAll(".suggestion-item")
-        .forEach((item) => {
-          item.addEventListener("click", () => {
-            this.elements.input.value = item.textContent;
-            this.performSearch(item.textContent);
-            this.hideSuggestions();
-          });
-        });
-    } else {
+    if (this.suggestedShows.length === 0 && history.length === 0) {
       this.hideSuggestions();
+      return;
+    }
+
+    const sections = [];
+
+    if (this.suggestedShows.length > 0) {
+      sections.push(`
+        <div class="suggestion-section" role="group" aria-label="Shows">
+          <div class="suggestion-heading">Shows</div>
+          ${this.suggestedShows
+            .map((show, index) => this.createShowSuggestion(show, index))
+            .join("")}
+        </div>
+      `);
+    }
+
+    if (history.length > 0) {
+      sections.push(`
+        <div class="suggestion-section" role="group" aria-label="Recent searches">
+          <div class="suggestion-heading">Recent searches</div>
+          ${history
+            .map(
+              (term, index) => `
+            <div class="suggestion-item suggestion-history" data-term-index="${index}">🕘 ${this.escapeHtml(
+              term
+            )}</div>
+          `
+            )
+            .join("")}
+        </div>
+      `);
+    }
+
+    this.elements.suggestions.innerHTML = sections.join("");
+    this.elements.suggestions.classList.remove("hidden");
+    this.suggestionIndex = -1;
+
+    this.elements.suggestions
+      .querySelectorAll(".suggestion-item")
+      .forEach((item) => {
+        item.addEventListener("click", () => this.selectSuggestion(item));
+      });
+  }
+
+  createShowSuggestion(show, index) {
+    const year = show.premiered ? show.premiered.slice(0, 4) : null;
+    const meta = [year, show.network].filter(Boolean).map((part) =>
+      this.escapeHtml(part)
+    );
+    const thumbnail = show.image
+      ? `<img class="suggestion-thumb" src="${this.escapeHtml(
+          show.image
+        )}" alt="" loading="lazy">`
+      : `<span class="suggestion-thumb suggestion-thumb-empty">📺</span>`;
+
+    return `
+      <div class="suggestion-item suggestion-show" data-show-index="${index}">
+        ${thumbnail}
+        <span class="suggestion-text">
+          <span class="suggestion-title">${this.escapeHtml(show.name)}</span>
+          ${
+            meta.length
+              ? `<span class="suggestion-meta">${meta.join(" · ")}</span>`
+              : ""
+          }
+        </span>
+      </div>
+    `;
+  }
+
+  // Shows open straight away; history entries run that search again
+  selectSuggestion(item) {
+    this.hideSuggestions();
+
+    if (item.classList.contains("suggestion-show")) {
+      const show = this.suggestedShows[Number(item.dataset.showIndex)];
+      if (!show) return;
+
+      clearTimeout(this.searchTimeout);
+      this.analytics.trackSearch(show.name, 1, "suggestion");
+      this.openShowDetail(show);
+      return;
     }
+
+    const term = this.suggestedTerms[Number(item.dataset.termIndex)];
+    if (!term) return;
+
+    this.elements.input.value = term;
+    this.updateClearButton(term);
+    this.performSearch(term);
   }
 
   handleSuggestionNavigation(e) {
@@ -518,11 +1031,7 @@ class EnhancedTVShowApp {
       case "Enter":
         if (this.suggestionIndex >= 0) {
           e.preventDefault();
-          const selectedSuggestion =
-            suggestions[this.suggestionIndex].textContent;
-          this.elements.input.value = selectedSuggestion;
-          this.performSearch(selectedSuggestion);
-          this.hideSuggestions();
+          this.selectSuggestion(suggestions[this.suggestionIndex]);
         }
         break;
       case "Escape":
@@ -535,6 +1044,7 @@ class EnhancedTVShowApp {
     suggestions.forEach((item, index) => {
       if (index === this.suggestionIndex) {
         item.classList.add("active");
+        item.scrollIntoView?.({ block: "nearest" });
       } else {
         item.classList.remove("active");
       }
@@ -542,6 +1052,7 @@ class EnhancedTVShowApp {
   }
 
   hideSuggestions() {
+    clearTimeout(this.suggestTimeout);
     this.elements.suggestions.classList.add("hidden");
     this.suggestionIndex = -1;
   }
@@ -562,32 +1073,112 @@ class EnhancedTVShowApp {
     await this.performSearch(searchTerm);
   }
 
-  async performSearch(searchTerm) {
+  // type is how the search started, for the history: "text" or "genre"
+  async performSearch(
+    searchTerm,
+    { keepSuggestions = false, type = "text" } = {}
+  ) {
+    // Qualifiers become filters; a query that doesn't parse isn't sent
+    const query = this.parseSearchQuery(searchTerm);
+    if (!query) return;
+
     try {
       if (this.abortController) {
         this.abortController.abort();
       }
 
       this.abortController = new AbortController();
+      this.cancelEpisodeStats();
       this.lastSearchTerm = searchTerm;
       this.searchStartTime = performance.now();
 
+      // Search-as-you-type refines the history entry it started instead
+      // of adding one per keystroke
+      const previousQuery = this.routeSearch?.q;
+      const isRefining =
+        keepSuggestions &&
+        previousQuery &&
+        this.router?.isEntry("typing") &&
+        (searchTerm.startsWith(previousQuery) ||
+          previousQuery.startsWith(searchTerm));
+      this.routeSearch = { q: searchTerm };
+      if (isRefining) {
+        this.updateRoute();
+      } else {
+        this.updateRoute({ push: true, data: { typing: keepSuggestions } });
+      }
+
       this.showLoading();
       this.hideError();
       this.hideSearchInterface();
-      this.hideSuggestions();
+      this.hideScheduleViews();
+      this.hidePersonProfile();
+      if (!keepSuggestions) this.hideSuggestions();
 
-      // Add to search history
-      this.addToSearchHistory(searchTerm);
+      this.searchHistory.add(searchTerm, { type, refine: isRefining });
 
-      const sanitizedTerm = this.sanitizeInput(searchTerm);
+      // Pasted IMDb/TheTVDB/TVRage IDs and links open the show directly
+      const externalId = this.parseExternalId(searchTerm);
+      if (externalId) {
+        await this.openExternalId(externalId, searchTerm);
+        return;
+      }
 
-      const response = await axios.get(this.baseURL, {
-        params: { q: sanitizedTerm },
-        signal: this.abortController.signal,
-      });
+      // "person:" prefix or the People toggle searches cast and crew
+      const personQuery = this.parsePersonQuery(searchTerm);
+      if (personQuery !== null) {
+        await this.searchPeople(personQuery, searchTerm);
+        return;
+      }
 
-      this.currentResults = response.data || [];
+      this.isShowingPeople = false;
+
+      // Qualifiers alone, e.g. "network:HBO year:2020..", browse the channel
+      if (!query.text) {
+        await this.browseQuery(query, searchTerm);
+        return;
+      }
+
+      const sanitizedTerm = this.sanitizeInput(query.text);
+
+      // Local index matches show straight away; the API response replaces
+      // them, or they stay up if the request fails
+      const localResults = await this.provider.searchLocal(sanitizedTerm);
+      if (localResults?.length && this.lastSearchTerm === searchTerm) {
+        this.currentResults = localResults;
+        this.displayResults(this.currentResults, sanitizedTerm);
+      }
+
+      const results = await this.provider
+        .search(sanitizedTerm, {
+          signal: this.abortController.signal,
+          onUpdate: (freshResults) => {
+            // Ignore refreshes for searches the user has moved on from
+            if (this.lastSearchTerm !== searchTerm) return;
+            this.currentResults = freshResults || [];
+            this.displayResults(this.currentResults, sanitizedTerm);
+            if (!keepSuggestions) this.loadAkas(searchTerm, sanitizedTerm);
+          },
+        })
+        .catch((error) => {
+          const type = this.api.normalizeError(error).type;
+          if (
+            !localResults?.length ||
+            type === ApiError.TYPES.ABORTED ||
+            this.lastSearchTerm !== searchTerm
+          ) {
+            throw error;
+          }
+          this.showToast(
+            navigator.onLine
+              ? "Search is unavailable — showing matches from the local index"
+              : "Offline — showing matches from the local index",
+            "info"
+          );
+          return localResults;
+        });
+
+      this.currentResults = results || [];
 
       // Track search performance and results
       const responseTime = performance.now() - this.searchStartTime;
@@ -599,6 +1190,9 @@ class EnhancedTVShowApp {
       this.analytics.trackPerformance(sanitizedTerm, responseTime);
 
       this.displayResults(this.currentResults, sanitizedTerm);
+      // Type-ahead results skip alternate titles; they load once the
+      // search is submitted
+      if (!keepSuggestions) this.loadAkas(searchTerm, sanitizedTerm);
     } catch (error) {
       this.analytics.trackError("search_error", error.message);
       this.handleError(error);
@@ -607,179 +1201,828 @@ class EnhancedTVShowApp {
     }
   }
 
-  addToSearchHistory(searchTerm) {
-    // Remove if already exists
-    this.searchHistory = this.searchHistory.filter(
-      (term) => term !== searchTerm
-    );
-    // Add to beginning
-    this.searchHistory.unshift(searchTerm);
-    // Keep only last 10 searches
-    this.searchHistory = this.searchHistory.slice(0, 10);
-    // Save to localStorage
-    localStorage.setItem(
-      "tvshow_search_history",
-      JSON.stringify(this.searchHistory)
-    );
+  // ===================================================================
+  // QUERY LANGUAGE
+  // ===================================================================
+
+  // { text, filters } for a search, or null after reporting parse errors.
+  // External IDs and people searches pass through untouched.
+  parseSearchQuery(searchTerm) {
+    if (
+      this.parseExternalId(searchTerm) ||
+      this.parsePersonQuery(searchTerm) !== null
+    ) {
+      this.hideQueryFeedback();
+      this.setQueryFilters({});
+      return { text: searchTerm, filters: {} };
+    }
+
+    const query = this.queryParser.parse(searchTerm);
+
+    if (query.errors.length === 0 && !query.text && !query.filters.network) {
+      query.errors.push({
+        token: searchTerm,
+        message:
+          'Add a show name to search for, or network:HBO to browse a channel.',
+      });
+    }
+
+    if (query.errors.length > 0) {
+      this.showQueryFeedback(query.errors);
+      return null;
+    }
+
+    this.hideQueryFeedback();
+    this.setQueryFilters(query.filters);
+    return query;
   }
 
-  sanitizeInput(input) {
-    return input
-      .replace(/[<>\"'&]/g, "")
-      .substring(0, 100)
-      .trim();
+  showQueryFeedback(errors) {
+    this.elements.queryFeedback.innerHTML = errors
+      .map(
+        ({ token, message }) =>
+          `<span><code>${this.escapeHtml(token)}</code> ${this.escapeHtml(
+            message
+          )}</span>`
+      )
+      .join("");
+    this.elements.queryFeedback.classList.remove("hidden");
   }
 
-  displayResults(data, searchTerm) {
-    this.hideError();
+  hideQueryFeedback() {
+    this.elements.queryFeedback.classList.add("hidden");
+  }
 
-    if (!data || data.length === 0) {
-      this.showNoResults(searchTerm);
-      return;
+  // Adopt a query's qualifiers and mirror them in the facets and sort
+  // dropdown. Facets set by the previous query's qualifiers are reset; ones
+  // the user picked by hand are left alone.
+  setQueryFilters(filters) {
+    const previous = this.queryFilters;
+    this.queryFilters = filters;
+
+    if (previous.genre && !filters.genre) this.facets.clear("genre");
+    if (previous.status && !filters.status) this.facets.clear("status");
+    if (previous.network && !filters.network) this.facets.clear("network");
+    if (previous.language && !filters.language) this.facets.clear("language");
+    if (previous.year && !filters.year) this.facets.clear("year");
+    if (previous.rating && !filters.rating) this.facets.clear("rating");
+    if (previous.sort && !filters.sort) {
+      this.elements.sortFilter.value = "relevance";
     }
 
-    const validShows = data.filter(
-      (item) => item.show && item.show.name && item.show.name.trim() !== ""
+    this.syncFacetsFromQuery();
+  }
+
+  // Tick the facet options a qualifier names, matched against the current
+  // results, and fill in the year and rating ranges; names that match
+  // nothing stay selected and filter everything out, as the qualifier would
+  syncFacetsFromQuery() {
+    const { genre, status, network, language, year, rating, sort } =
+      this.queryFilters;
+    const valuesOf = (field) =>
+      new Set(
+        this.currentResults.flatMap((item) =>
+          this.facets.getValues(item.show, field)
+        )
+      );
+
+    if (genre) {
+      const simplify = (text) => text.toLowerCase().replace(/[^a-z0-9]/g, "");
+      const genres = Array.from(valuesOf("genre"));
+      this.facets.set(
+        "genre",
+        genre.map(
+          (wanted) =>
+            genres.find((value) => simplify(value) === simplify(wanted)) ||
+            wanted
+        )
+      );
+      this.facets.genreMode = "and";
+    }
+    if (status) {
+      this.facets.set("status", [status]);
+    }
+    if (network) {
+      const channels = Array.from(valuesOf("network")).filter((value) =>
+        this.matchesChannelName(value, network)
+      );
+      this.facets.set("network", channels.length ? channels : [network]);
+    }
+    if (language) {
+      const languages = Array.from(valuesOf("language")).filter((value) =>
+        value.toLowerCase().startsWith(language.toLowerCase())
+      );
+      this.facets.set("language", languages.length ? languages : [language]);
+    }
+    if (year) {
+      this.facets.ranges.year = { ...year };
+      this.facets.yearMode = "premiered";
+    }
+    if (rating) {
+      this.facets.ranges.rating = { ...rating };
+    }
+    if (sort) {
+      this.elements.sortFilter.value = sort;
+    }
+  }
+
+  // Rewrite a qualifier already typed in the search box after its filter
+  // changes, so the box never contradicts the filters. value may be a list.
+  syncQualifier(field, value) {
+    const input = this.elements.input;
+    if (!this.queryParser.hasQualifier(input.value, field)) return;
+
+    input.value = this.queryParser.setQualifier(input.value, field, value);
+    this.queryFilters = this.queryParser.parse(input.value).filters;
+    if (this.routeSearch?.q) this.routeSearch = { q: input.value };
+  }
+
+  // Selections the query language can't express (genres in "any" mode,
+  // several channels or statuses) drop the qualifier and filter through
+  // the facets alone
+  syncFacetQualifier(field) {
+    const values = Array.from(this.facets.selected[field]);
+    const expressible =
+      field === "genre" ? this.facets.genreMode === "and" : values.length <= 1;
+
+    this.syncQualifier(
+      field,
+      expressible
+        ? values.map((value) =>
+            field === "network" ? value : value.toLowerCase()
+          )
+        : []
     );
+  }
 
-    if (validShows.length === 0) {
-      this.showNoResults(searchTerm);
-      return;
+  // Year ranges of shows on air can't be written as a qualifier, so they
+  // drop it and filter through the range inputs alone
+  syncRangeQualifier(field) {
+    const expressible =
+      field !== "year" || this.facets.yearMode === "premiered";
+
+    this.syncQualifier(
+      field,
+      expressible ? this.queryParser.formatRange(this.facets.ranges[field]) : ""
+    );
+  }
+
+  // Qualifier-only queries browse the network: then apply the rest
+  async browseQuery(query, searchTerm) {
+    const { network } = query.filters;
+    let results = await this.provider.browseChannel(network);
+
+    // Sources that can't browse fall back to searching the name
+    if (!results || results.length === 0) {
+      results = await this.provider.search(network, {
+        signal: this.abortController.signal,
+      });
     }
 
-    this.currentResults = validShows.slice(0, 50); // Limit for performance
-    this.populateChannelFilter();
-    this.applyFilters();
+    if (this.lastSearchTerm !== searchTerm) return;
+
+    this.currentResults = results || [];
+    this.analytics.trackSearch(searchTerm, this.currentResults.length, "query");
+    this.displayResults(this.currentResults, `shows on ${network}`);
   }
 
-  populateChannelFilter() {
-    // Extract unique channels from current results
-    const channels = new Set();
+  // Alternate titles arrive after the results; redraw the cards in place
+  // once they do, without scrolling the page again
+  async loadAkas(searchTerm, query) {
+    const results = this.currentResults;
+    if (results.length === 0) return;
 
-    this.currentResults.forEach((item) => {
-      const network = item.show.network?.name || item.show.webChannel?.name;
-      if (network && network.trim()) {
-        channels.add(network.trim());
+    try {
+      const annotated = await this.provider.annotateAliases(results, query, {
+        signal: this.abortController.signal,
+      });
+      if (
+        this.lastSearchTerm !== searchTerm ||
+        this.currentResults !== results
+      ) {
+        return;
       }
-    });
 
-    // Clear existing options (except "All Channels")
-    const channelFilter = this.elements.channelFilter;
-    while (channelFilter.children.length > 1) {
-      channelFilter.removeChild(channelFilter.lastChild);
+      this.currentResults = annotated;
+      if (annotated.some((item) => item.show.akas.length > 0)) {
+        this.applyFilters({ scroll: false, keepPage: true });
+      }
+    } catch (error) {
+      if (this.api.normalizeError(error).type !== ApiError.TYPES.ABORTED) {
+        console.warn("Alternate titles failed to load:", error);
+      }
+    }
+  }
+
+  // Detect an external show ID in a bare ID, prefixed ID or share link,
+  // e.g. "tt0903747", "tvdb:81189" or an imdb.com/title/... URL
+  parseExternalId(input) {
+    const patterns = [
+      { type: "imdb", regex: /\b(tt\d{7,8})\b/i },
+      { type: "thetvdb", regex: /^(?:the)?tvdb[:#\s-]*(\d+)$/i },
+      { type: "thetvdb", regex: /thetvdb\.com\/\S*?[?&]id=(\d+)/i },
+      { type: "tvrage", regex: /^tvrage[:#\s-]*(\d+)$/i },
+      { type: "tvrage", regex: /tvrage\.com\/\S*?(?:[?&]id=|id-)(\d+)/i },
+    ];
+
+    for (const { type, regex } of patterns) {
+      const match = input.trim().match(regex);
+      if (match) {
+        return { type, id: match[1].toLowerCase() };
+      }
     }
+    return null;
+  }
 
-    // Add channel options
-    const sortedChannels = Array.from(channels).sort();
-    sortedChannels.forEach((channel) => {
-      const option = document.createElement("option");
-      option.value = channel;
-      option.textContent = channel;
-      channelFilter.appendChild(option);
+  async openExternalId({ type, id }, searchTerm) {
+    const labels = { imdb: "IMDb", thetvdb: "TheTVDB", tvrage: "TVRage" };
+    const label = `${labels[type]} ${id}`;
+
+    const show = await this.provider.lookupExternalId(type, id, {
+      signal: this.abortController.signal,
     });
 
-    // Update available channels set
-    this.availableChannels = channels;
-  }
+    // Ignore lookups the user has moved on from
+    if (this.lastSearchTerm !== searchTerm) return;
 
-  applyFilters() {
-    let filtered = [...this.currentResults];
+    this.analytics.trackSearch(id, show ? 1 : 0, "external_id");
 
-    // Apply genre filter
-    const selectedGenre = this.elements.genreFilter.value;
-    if (selectedGenre) {
-      filtered = filtered.filter(
-        (item) => item.show.genres && item.show.genres.includes(selectedGenre)
-      );
-      this.analytics.trackFilterUsage("genre", selectedGenre);
+    if (!show) {
+      this.currentResults = [];
+      this.showNoResults(label);
+      this.showToast(`No show found for ${label}`, "error");
+      return;
     }
 
-    // Apply status filter
-    const selectedStatus = this.elements.statusFilter.value;
-    if (selectedStatus) {
-      filtered = filtered.filter((item) => item.show.status === selectedStatus);
-      this.analytics.trackFilterUsage("status", selectedStatus);
+    this.currentResults = [{ score: 1, show }];
+    this.displayResults(this.currentResults, label);
+    this.openShowDetail(show, 1);
+    this.showToast(`Opened ${show.name} from ${label}`, "success");
+  }
+
+  sanitizeInput(input) {
+    return input
+      .replace(/[<>\"'&]/g, "")
+      .substring(0, 100)
+      .trim();
+  }
+
+  displayResults(data, searchTerm) {
+    this.hideError();
+
+    if (!data || data.length === 0) {
+      this.showNoResults(searchTerm);
+      return;
     }
 
-    // Apply channel filter
-    const selectedChannel = this.elements.channelFilter.value;
-    if (selectedChannel) {
-      filtered = filtered.filter((item) => {
-        const network =
-          item.show.network?.name || item.show.webChannel?.name || "";
-        return network.toLowerCase().includes(selectedChannel.toLowerCase());
-      });
+    const validShows = data.filter(
+      (item) => item.show && item.show.name && item.show.name.trim() !== ""
+    );
+
+    if (validShows.length === 0) {
+      this.showNoResults(searchTerm);
+      return;
     }
 
+    // Filters and sorting see every result; rendering is paged
+    this.currentResults = validShows;
+    this.syncFacetsFromQuery();
+    this.applyFilters();
+  }
+
+  // keepPage leaves the rendered pages alone, for background refreshes
+  // (alternate titles, episode data) of the same results
+  applyFilters({ scroll = true, keepPage = false } = {}) {
+    // Filters and sorting apply to shows, not people results
+    if (this.isShowingPeople) return;
+
+    let filtered = this.currentResults.map((item) =>
+      this.withEpisodeStats(item)
+    );
+
     // Apply favorites filter
     if (this.isShowingFavoritesOnly) {
       filtered = filtered.filter((item) => this.favorites[item.show.id]);
     }
 
-    // Apply sorting
-    const sortBy = this.elements.sortFilter.value;
-    filtered.sort((a, b) => {
-      switch (sortBy) {
-        case "rating":
-          const ratingA = a.show.rating?.average || 0;
-          const ratingB = b.show.rating?.average || 0;
-          return ratingB - ratingA;
-        case "name":
-          return a.show.name.localeCompare(b.show.name);
-        case "year":
-          const yearA = a.show.premiered
-            ? new Date(a.show.premiered).getFullYear()
-            : 0;
-          const yearB = b.show.premiered
-            ? new Date(b.show.premiered).getFullYear()
-            : 0;
-          return yearB - yearA;
-        default:
-          return 0; // Keep original order (relevance)
-      }
+    // Search box qualifiers are mirrored in the facets and ranges, which
+    // filter for them. Facet counts reflect everything but the facets
+    // themselves.
+    this.renderFacets(filtered);
+    filtered = filtered.filter((item) => this.facets.matches(item.show));
+
+    // Apply sorting; keys that need episode data sort again once it loads
+    const primary = this.elements.sortFilter.value;
+    const secondary = this.elements.sortSecondary.value || null;
+    filtered = this.sorter.sort(filtered, {
+      primary,
+      secondary,
+      reverse: this.sortReverse,
     });
+    if ([primary, secondary].some((key) => this.sorter.needsEpisodes(key))) {
+      this.loadEpisodeStats(filtered);
+    } else {
+      this.cancelEpisodeStats();
+    }
 
     this.filteredResults = filtered;
-    this.renderResults();
+    // Facet changes (scroll: false) keep what infinite scroll has loaded,
+    // so the cards on screen stay put
+    if (!keepPage && (scroll || !this.isInfiniteScroll())) this.page = 1;
+    this.page = Math.min(this.page, Math.max(1, this.getPageCount()));
+    this.renderResults({ scroll });
     this.updateResultsStats();
+    this.updateRoute();
+    this.searchHistory.update(filtered.length);
+  }
+
+  setSortReverse(reverse) {
+    this.sortReverse = reverse;
+    this.elements.sortDirection.setAttribute("aria-pressed", String(reverse));
+    this.applyFilters({ scroll: false });
+  }
+
+  // Results with episode data already loaded for their show
+  withEpisodeStats(item) {
+    const stats = this.episodeStats.get(item.show.id);
+    return stats ? { ...item, show: { ...item.show, ...stats } } : item;
+  }
+
+  // Episode counts and last aired dates aren't in search results; fetch
+  // them for every filtered result when a sort needs them, in list order
+  // and app.episodeBatchSize shows at a time, sorting again after each
+  // batch. Requests run in the background so searches go first. A load for
+  // other results is cancelled and replaced, keeping what it fetched;
+  // shows that fail aren't retried.
+  async loadEpisodeStats(items) {
+    const shows = items.map((item) => item.show);
+    const key = shows
+      .map((show) => show.id)
+      .sort()
+      .join(",");
+
+    if (this.episodeStatsController && this.episodeStatsKey === key) return;
+    this.cancelEpisodeStats();
+
+    const pending = shows.filter((show) => !this.episodeStats.has(show.id));
+    if (pending.length === 0) return;
+
+    const controller = new AbortController();
+    this.episodeStatsController = controller;
+    this.episodeStatsKey = key;
+    const batchSize = window.AppConfig.get("app.episodeBatchSize");
+    const status = this.elements.sortStatus;
+    const showProgress = (done) => {
+      status.textContent = `Loading episodes… ${done}/${shows.length}, shows still loading are listed last`;
+    };
+    status.classList.remove("hidden");
+
+    for (let start = 0; start < pending.length; start += batchSize) {
+      const batch = pending.slice(start, start + batchSize);
+      const loaded = shows.length - pending.length + start;
+      showProgress(loaded);
+
+      try {
+        const bySource = new Map();
+        batch.forEach((show) => {
+          if (!bySource.has(show.source)) bySource.set(show.source, []);
+          bySource.get(show.source).push(show);
+        });
+
+        let done = loaded;
+        for (const [source, sourceShows] of bySource) {
+          const provider = this.providers[source] || this.provider;
+          const offset = done;
+          const stats = await provider.getEpisodeStats(sourceShows, {
+            signal: controller.signal,
+            background: true,
+            onProgress: (count) => showProgress(offset + count),
+          });
+          stats.forEach((value, id) => this.episodeStats.set(id, value));
+          done += sourceShows.length;
+        }
+      } catch (error) {
+        if (this.api.normalizeError(error).type !== ApiError.TYPES.ABORTED) {
+          console.warn("Episode data failed:", error);
+        }
+      }
+
+      // A cancelled load leaves its shows to be fetched another time
+      if (controller.signal.aborted) return;
+
+      // Missing shows sort last rather than being fetched again
+      batch.forEach((show) => {
+        if (!this.episodeStats.has(show.id)) {
+          this.episodeStats.set(show.id, { episodeCount: null, lastAired: null });
+        }
+      });
+      this.applyFilters({ scroll: false, keepPage: true });
+    }
+
+    this.episodeStatsController = null;
+    this.episodeStatsKey = null;
+    status.classList.add("hidden");
+  }
+
+  // Stop fetching episodes, e.g. for results that have been replaced
+  cancelEpisodeStats() {
+    if (!this.episodeStatsController) return;
+
+    this.episodeStatsController.abort();
+    this.episodeStatsController = null;
+    this.episodeStatsKey = null;
+    this.elements.sortStatus.classList.add("hidden");
+  }
+
+  // Facet checkboxes with live counts, e.g. "Drama (12)", and range inputs
+  renderFacets(items) {
+    const container = this.elements.facetFilters;
+    const focused = container.contains(document.activeElement)
+      ? document.activeElement
+      : null;
+    const focusedOption = focused?.dataset.facet
+      ? {
+          field: focused.dataset.facet,
+          value: this.facetOptions[focused.dataset.facet][
+            Number(focused.dataset.index)
+          ],
+        }
+      : null;
+
+    const html = [
+      this.createFacetGroup("genre", "Genres", items),
+      this.createFacetGroup("network", "Channels", items),
+      this.createFacetGroup("status", "Status", items),
+      this.createFacetGroup("type", "Type", items),
+      this.createFacetGroup("language", "Language", items),
+      this.createFacetGroup("country", "Country", items),
+      this.createRangeGroup("year", "Year", items),
+      this.createRangeGroup("rating", "Rating", items),
+      this.createRangeGroup("runtime", "Runtime", items),
+    ].join("");
+
+    container.innerHTML = html;
+    container.classList.toggle("hidden", html.trim() === "");
+
+    // Re-rendering replaces the inputs; keep keyboard focus (and any
+    // number still being typed) in place
+    if (focusedOption) {
+      const index = this.facetOptions[focusedOption.field].indexOf(
+        focusedOption.value
+      );
+      container
+        .querySelector(
+          `[data-facet="${focusedOption.field}"][data-index="${index}"]`
+        )
+        ?.focus();
+    } else if (focused?.dataset.range) {
+      const input = container.querySelector(
+        `[data-range="${focused.dataset.range}"][data-bound="${focused.dataset.bound}"]`
+      );
+      if (input) {
+        input.value = focused.value;
+        input.focus();
+      }
+    } else if (focused?.name) {
+      const value = focused.type === "radio" ? `[value="${focused.value}"]` : "";
+      container.querySelector(`[name="${focused.name}"]${value}`)?.focus();
+    }
   }
 
-  renderResults() {
+  createFacetGroup(field, label, items) {
+    const options = this.facets.getOptions(items, field);
+    this.facetOptions[field] = options.map((option) => option.value);
+    if (options.length === 0) return "";
+
+    const selectedCount = this.facets.selected[field].size;
+    const mode = this.facets.genreMode;
+    const modeToggle =
+      field === "genre"
+        ? `
+      <div class="facet-mode" role="radiogroup" aria-label="Genre matching">
+        <label><input type="radio" name="genre-mode" value="and" ${
+          mode === "and" ? "checked" : ""
+        }> All selected</label>
+        <label><input type="radio" name="genre-mode" value="or" ${
+          mode === "or" ? "checked" : ""
+        }> Any selected</label>
+      </div>
+    `
+        : "";
+
+    return `
+      <details class="facet-group" data-facet-group="${field}" ${
+      this.openFacets.has(field) ? "open" : ""
+    }>
+        <summary>${label}${
+      selectedCount
+        ? ` <span class="facet-selected-count">${selectedCount}</span>`
+        : ""
+    }</summary>
+        ${modeToggle}
+        <div class="facet-options">
+          ${options
+            .map(({ value, count, selected }, index) => {
+              const disabled = count === 0 && !selected;
+              const text = field === "country" ? this.formatCountry(value) : value;
+              return `
+            <label class="facet-option${disabled ? " disabled" : ""}">
+              <input type="checkbox" data-facet="${field}" data-index="${index}" ${
+                selected ? "checked" : ""
+              } ${disabled ? "disabled" : ""}>
+              <span class="facet-label">${this.escapeHtml(text)}</span>
+              <span class="facet-count">(${count})</span>
+            </label>
+          `;
+            })
+            .join("")}
+        </div>
+      </details>
+    `;
+  }
+
+  // From/to number inputs; placeholders show the range in the results
+  createRangeGroup(field, label, items) {
+    const bounds = this.facets.getBounds(items, field);
+    const isActive = this.facets.isRangeActive(field);
+    if (!bounds && !isActive) return "";
+
+    const { min, max, minExclusive, maxExclusive } = this.facets.ranges[field];
+    const step = { year: 1, rating: 0.1, runtime: 5 }[field];
+    const unit = field === "runtime" ? " min" : "";
+    const input = (bound, value, placeholder, name) => `
+      <input type="number" class="facet-range-input" data-range="${field}" data-bound="${bound}"
+        step="${step}" min="0" value="${value ?? ""}" placeholder="${
+      placeholder ?? ""
+    }" aria-label="${label} ${name}">
+    `;
+    const yearMode =
+      field === "year"
+        ? `
+      <select name="year-mode" class="facet-year-mode" aria-label="Year range applies to">
+        <option value="premiered" ${
+          this.facets.yearMode === "premiered" ? "selected" : ""
+        }>Premiered</option>
+        <option value="aired" ${
+          this.facets.yearMode === "aired" ? "selected" : ""
+        }>On air</option>
+      </select>
+    `
+        : "";
+
+    return `
+      <details class="facet-group" data-facet-group="${field}" ${
+      this.openFacets.has(field) ? "open" : ""
+    }>
+        <summary>${label}${
+      isActive
+        ? ` <span class="facet-selected-count">${minExclusive ? ">" : ""}${
+            min ?? "…"
+          }–${maxExclusive ? "<" : ""}${max ?? "…"}${unit}</span>`
+        : ""
+    }</summary>
+        ${yearMode}
+        <div class="facet-range">
+          ${input("min", min, bounds?.min, "from")}
+          <span>to</span>
+          ${input("max", max, bounds?.max, "to")}
+          ${unit ? `<span>${unit.trim()}</span>` : ""}
+        </div>
+      </details>
+    `;
+  }
+
+  // "United States" for "US"; codes the browser doesn't know pass through
+  formatCountry(code) {
+    try {
+      return new Intl.DisplayNames(["en"], { type: "region" }).of(code) || code;
+    } catch (error) {
+      return code;
+    }
+  }
+
+  hideFacets() {
+    this.elements.facetFilters.classList.add("hidden");
+  }
+
+  renderResults({ scroll = true } = {}) {
     if (this.filteredResults.length === 0) {
       this.showNoResults("your filters");
       return;
     }
 
-    const resultsHTML = this.filteredResults
-      .map((item) => this.createShowCard(item.show))
-      .join("");
+    // Infinite scroll renders pages 1..page; numbered pages just the one
+    const { start, end } = this.getPageRange();
+    const items = this.filteredResults.slice(start, end);
+
+    // Long lists only keep the cards near the viewport in the page
+    if (this.responsiveEnhancements?.shouldVirtualize(items.length)) {
+      this.responsiveEnhancements.renderVirtualResults(items, {
+        offset: start,
+        anchor: !scroll,
+      });
+    } else {
+      this.responsiveEnhancements?.stopVirtualScrolling();
+      this.elements.results.innerHTML = items
+        .map((item, index) =>
+          this.createShowCard(item.show, start + index + 1, item)
+        )
+        .join("");
+    }
+
+    if (scroll) {
+      this.elements.results.scrollIntoView({
+        behavior: "smooth",
+        block: "start",
+      });
+    }
+
+    this.renderPager();
+  }
+
+  // ===================================================================
+  // PAGINATION
+  // ===================================================================
+
+  getPageSize() {
+    return window.AppConfig.get("app.maxResults") || 50;
+  }
+
+  isInfiniteScroll() {
+    return window.AppConfig.get("app.pagination") !== "pages";
+  }
+
+  getPageCount() {
+    return Math.ceil(this.filteredResults.length / this.getPageSize());
+  }
+
+  // Indexes into filteredResults currently rendered
+  getPageRange() {
+    const size = this.getPageSize();
+    const end = Math.min(this.page * size, this.filteredResults.length);
+    return { start: this.isInfiniteScroll() ? 0 : (this.page - 1) * size, end };
+  }
+
+  // "Show more" (loaded automatically as it scrolls into view) or page
+  // numbers; hidden when everything fits on one page
+  renderPager() {
+    const pager = this.elements.resultsPager;
+    const pageCount = this.getPageCount();
+    this.pageObserver?.disconnect();
+
+    if (pageCount <= 1) {
+      this.hidePager();
+      return;
+    }
+
+    const total = this.filteredResults.length;
+    const { start, end } = this.getPageRange();
+
+    if (this.isInfiniteScroll()) {
+      if (end >= total) {
+        this.hidePager();
+        return;
+      }
+
+      pager.innerHTML = `
+        <button type="button" class="load-more">
+          Show more <span class="load-more-count">(${end} of ${total})</span>
+        </button>
+      `;
+      pager.querySelector(".load-more").addEventListener("click", () =>
+        this.loadNextPage()
+      );
+
+      if ("IntersectionObserver" in window) {
+        this.pageObserver = new IntersectionObserver(
+          (entries) => {
+            if (entries.some((entry) => entry.isIntersecting)) {
+              this.loadNextPage();
+            }
+          },
+          { rootMargin: "400px 0px" }
+        );
+        this.pageObserver.observe(pager);
+      }
+    } else {
+      pager.innerHTML = `
+        <button type="button" class="page-button" data-page="${
+          this.page - 1
+        }" ${this.page === 1 ? "disabled" : ""} aria-label="Previous page">‹</button>
+        ${this.getPageNumbers(pageCount)
+          .map((page) =>
+            page === null
+              ? `<span class="page-gap">…</span>`
+              : `<button type="button" class="page-button${
+                  page === this.page ? " active" : ""
+                }" data-page="${page}" ${
+                  page === this.page ? 'aria-current="page"' : ""
+                }>${page}</button>`
+          )
+          .join("")}
+        <button type="button" class="page-button" data-page="${
+          this.page + 1
+        }" ${
+        this.page === pageCount ? "disabled" : ""
+      } aria-label="Next page">›</button>
+        <span class="page-range">${start + 1}–${end} of ${total}</span>
+      `;
+      pager.querySelectorAll(".page-button").forEach((button) => {
+        button.addEventListener("click", () =>
+          this.goToPage(Number(button.dataset.page))
+        );
+      });
+    }
 
-    this.elements.results.innerHTML = resultsHTML;
-    this.elements.results.scrollIntoView({
-      behavior: "smooth",
-      block: "start",
+    pager.classList.remove("hidden");
+  }
+
+  // First, last and the pages around the current one; null marks a gap
+  getPageNumbers(pageCount) {
+    const pages = [];
+    for (let page = 1; page <= pageCount; page++) {
+      if (page === 1 || page === pageCount || Math.abs(page - this.page) <= 2) {
+        pages.push(page);
+      } else if (pages[pages.length - 1] !== null) {
+        pages.push(null);
+      }
+    }
+    return pages;
+  }
+
+  hidePager() {
+    this.pageObserver?.disconnect();
+    this.elements.resultsPager.classList.add("hidden");
+    this.elements.resultsPager.innerHTML = "";
+  }
+
+  // Append the next page of cards below the ones already rendered. The
+  // loading state shows for a frame so long pages don't freeze silently.
+  loadNextPage() {
+    if (this.isLoadingPage || this.page >= this.getPageCount()) return;
+
+    this.isLoadingPage = true;
+    this.pageObserver?.disconnect();
+    this.elements.resultsPager.innerHTML = `
+      <div class="load-more-status" role="status">
+        <span class="spinner"></span> Loading more shows…
+      </div>
+    `;
+
+    requestAnimationFrame(() => {
+      const { end: start } = this.getPageRange();
+      this.page += 1;
+      const { end } = this.getPageRange();
+
+      if (this.responsiveEnhancements?.shouldVirtualize(end)) {
+        this.responsiveEnhancements.renderVirtualResults(
+          this.filteredResults.slice(0, end),
+          { append: true }
+        );
+      } else {
+        this.elements.results.insertAdjacentHTML(
+          "beforeend",
+          this.filteredResults
+            .slice(start, end)
+            .map((item, index) =>
+              this.createShowCard(item.show, start + index + 1, item)
+            )
+            .join("")
+        );
+      }
+      this.isLoadingPage = false;
+      this.renderPager();
+      this.updateResultsCount();
     });
+  }
 
-    // Add favorite button listeners
-    this.attachFavoriteListeners();
+  goToPage(page) {
+    if (page < 1 || page > this.getPageCount() || page === this.page) return;
+    this.page = page;
+    this.renderResults();
+    this.updateResultsCount();
+    this.updateRoute();
   }
 
-  createShowCard(show) {
+  createShowCard(show, position, { credit = null, matchedAlias = null } = {}) {
     const name = this.escapeHtml(show.name || "Unknown Title");
-    const image = show.image?.medium || show.image?.original || null;
+    const image = show.image;
     const summary = this.stripHtml(show.summary || "No description available.");
-    const rating = show.rating?.average || null;
+    const rating = show.rating;
     const premiered = show.premiered || null;
     const status = show.status || "Unknown";
     const genres = show.genres || [];
-    const network =
-      show.network?.name || show.webChannel?.name || "Unknown Network";
+    const network = show.network || "Unknown Network";
     const isFavorited = this.favorites[show.id] || false;
+    const akas = (show.akas || []).filter(
+      (aka) => aka.name !== matchedAlias?.name
+    );
 
     return `
-      <div class="show-card fade-in">
+      <div class="show-card fade-in" data-position="${position}" tabindex="0"
+           aria-label="View details for ${name}">
         <button class="favorite-button ${isFavorited ? "favorited" : ""}" 
-                data-show-id="${show.id}" 
+                data-show-id="${this.escapeHtml(String(show.id))}" 
                 aria-label="${
                   isFavorited ? "Remove from favorites" : "Add to favorites"
                 }">
@@ -787,7 +2030,9 @@ class EnhancedTVShowApp {
         </button>
         ${
           image
-            ? `<img src="${image}" alt="${name}" class="show-image" loading="lazy">`
+            ? `<img src="${this.escapeHtml(
+                image
+              )}" alt="${name}" class="show-image" loading="lazy">`
             : `<div class="show-image" style="display: flex; align-items: center; justify-content: center; background: #f0f0f0; color: #666;">
             <span style="font-size: 3rem;">📺</span>
           </div>`
@@ -814,22 +2059,37 @@ class EnhancedTVShowApp {
             </div>`
               : ""
           }
+          ${
+            credit
+              ? `<p class="show-credit">🎭 ${this.escapeHtml(credit)}</p>`
+              : ""
+          }
+          ${
+            matchedAlias
+              ? `<p class="show-alias-match">🔤 Matched “${this.escapeHtml(
+                  this.formatAka(matchedAlias)
+                )}”</p>`
+              : ""
+          }
+          ${
+            akas.length > 0
+              ? `<p class="show-akas">Also known as ${akas
+                  .slice(0, 2)
+                  .map((aka) => this.escapeHtml(this.formatAka(aka)))
+                  .join(", ")}${
+                  akas.length > 2 ? ` and ${akas.length - 2} more` : ""
+                }</p>`
+              : ""
+          }
           <p class="show-summary">${this.truncateText(summary, 200)}</p>
         </div>
       </div>
     `;
   }
 
-  attachFavoriteListeners() {
-    const favoriteButtons =
-      this.elements.results.querySelectorAll(".favorite-button");
-    favoriteButtons.forEach((button) => {
-      button.addEventListener("click", (e) => {
-        e.stopPropagation();
-        const showId = button.dataset.showId;
-        this.toggleFavorite(showId, button);
-      });
-    });
+  // "Le Trône de fer (France)"
+  formatAka(aka) {
+    return aka.country ? `${aka.name} (${aka.country})` : aka.name;
   }
 
   toggleFavorite(showId, button) {
@@ -849,7 +2109,8 @@ class EnhancedTVShowApp {
       this.favorites[showId] = {
         id: show.id,
         name: show.name,
-        image: show.image?.medium,
+        image: show.image,
+        source: show.source,
         addedAt: Date.now(),
       };
       button.classList.add("favorited");
@@ -868,19 +2129,709 @@ class EnhancedTVShowApp {
   }
 
   toggleFavoritesView() {
-    this.isShowingFavoritesOnly = !this.isShowingFavoritesOnly;
+    this.setFavoritesOnly(!this.isShowingFavoritesOnly);
+    this.showToast(
+      this.isShowingFavoritesOnly ? "Showing favorites only" : "Showing all shows",
+      "info"
+    );
 
-    if (this.isShowingFavoritesOnly) {
-      this.elements.toggleFavorites.classList.add("active");
-      this.elements.toggleFavorites.textContent = "⭐ Show All Shows";
-      this.showToast("Showing favorites only", "info");
+    this.applyFilters();
+  }
+
+  setFavoritesOnly(isFavoritesOnly) {
+    if (isFavoritesOnly === this.isShowingFavoritesOnly) return;
+    this.isShowingFavoritesOnly = isFavoritesOnly;
+    this.elements.toggleFavorites.classList.toggle("active", isFavoritesOnly);
+    this.elements.toggleFavorites.textContent = isFavoritesOnly
+      ? "⭐ Show All Shows"
+      : "⭐ Show Favorites Only";
+  }
+
+  // ===================================================================
+  // PEOPLE & FILMOGRAPHY
+  // ===================================================================
+
+  // The name to search people for, or null for a show search
+  parsePersonQuery(searchTerm) {
+    const match = searchTerm.match(/^person:\s*(.*)$/i);
+    if (match) return match[1].trim();
+    return this.searchMode === "people" ? searchTerm : null;
+  }
+
+  togglePeopleMode() {
+    const isPeople = this.searchMode !== "people";
+    this.searchMode = isPeople ? "people" : "shows";
+
+    this.elements.togglePeople.classList.toggle("active", isPeople);
+    this.elements.togglePeople.setAttribute("aria-pressed", String(isPeople));
+    this.elements.input.placeholder = isPeople
+      ? "Search for actors, writers, directors..."
+      : "Search for TV shows...";
+    this.showToast(
+      isPeople ? "Searching cast and crew" : "Searching TV shows",
+      "info"
+    );
+
+    // Repeat the current search in the new mode
+    const searchTerm = this.elements.input.value.trim();
+    if (searchTerm.length >= 2) {
+      this.performSearch(searchTerm);
+    }
+  }
+
+  // People come from TVMaze whichever show source is active
+  async searchPeople(query, searchTerm) {
+    const sanitizedQuery = this.sanitizeInput(query);
+
+    if (sanitizedQuery.length < 2) {
+      this.showToast("Enter at least 2 characters of a name", "error");
+      return;
+    }
+
+    const results = await this.providers.tvmaze.searchPeople(sanitizedQuery, {
+      signal: this.abortController.signal,
+    });
+
+    // Ignore results for searches the user has moved on from
+    if (this.lastSearchTerm !== searchTerm) return;
+
+    this.analytics.trackSearch(sanitizedQuery, results.length, "person");
+    this.analytics.trackPerformance(
+      sanitizedQuery,
+      performance.now() - this.searchStartTime
+    );
+
+    this.currentPeople = results;
+    this.currentResults = [];
+    this.filteredResults = [];
+    this.searchHistory.update(results.length);
+
+    if (results.length === 0) {
+      this.elements.results.innerHTML = `
+        <div class="no-results">
+          <h3>No people found</h3>
+          <p>We couldn't find anyone matching "${this.escapeHtml(
+            sanitizedQuery
+          )}".</p>
+          <p>Try a different spelling or search for shows instead.</p>
+        </div>
+      `;
+      return;
+    }
+
+    this.renderPeople();
+  }
+
+  renderPeople() {
+    this.hideFacets();
+    this.hidePager();
+    this.responsiveEnhancements?.stopVirtualScrolling();
+    this.hidePersonProfile();
+    this.isShowingPeople = true;
+
+    this.elements.results.innerHTML = this.currentPeople
+      .map(({ person }, index) => this.createPersonCard(person, index))
+      .join("");
+
+    const count = this.currentPeople.length;
+    this.elements.resultsCount.textContent = `${count} ${
+      count === 1 ? "person" : "people"
+    }`;
+    this.elements.searchTime.textContent = "";
+    this.elements.resultsStats.classList.remove("hidden");
+  }
+
+  createPersonCard(person, index) {
+    const name = this.escapeHtml(person.name || "Unknown");
+    const born = person.birthday ? new Date(person.birthday).getFullYear() : null;
+
+    return `
+      <div class="show-card person-card fade-in" data-person-index="${index}"
+           tabindex="0" aria-label="View filmography for ${name}">
+        ${
+          person.image
+            ? `<img src="${this.escapeHtml(
+                person.image
+              )}" alt="${name}" class="show-image" loading="lazy">`
+            : `<div class="show-image" style="display: flex; align-items: center; justify-content: center; background: #f0f0f0; color: #666;">
+            <span style="font-size: 3rem;">👤</span>
+          </div>`
+        }
+        <div class="show-content">
+          <h3 class="show-title">${name}</h3>
+          <div class="show-info">
+            ${
+              person.country
+                ? `<span>🌍 ${this.escapeHtml(person.country)}</span>`
+                : ""
+            }
+            ${born ? `<span>🎂 ${born}</span>` : ""}
+          </div>
+          <p class="show-summary">View filmography →</p>
+        </div>
+      </div>
+    `;
+  }
+
+  activateCard(card) {
+    if (card.classList.contains("person-card")) {
+      const result = this.currentPeople[Number(card.dataset.personIndex)];
+      if (result) this.openFilmography(result.person);
     } else {
-      this.elements.toggleFavorites.classList.remove("active");
-      this.elements.toggleFavorites.textContent = "⭐ Show Favorites Only";
-      this.showToast("Showing all shows", "info");
+      this.openShowCard(card);
     }
+  }
 
-    this.applyFilters();
+  // A person's shows as regular cards, so detail and favorites work as usual
+  async openFilmography(person) {
+    if (this.abortController) {
+      this.abortController.abort();
+    }
+    this.abortController = new AbortController();
+    const searchTerm = `person:${person.id}`;
+    this.lastSearchTerm = searchTerm;
+    this.searchStartTime = performance.now();
+
+    this.showLoading();
+    this.hideError();
+
+    try {
+      const credits = await this.providers.tvmaze.getPersonCredits(person.id, {
+        signal: this.abortController.signal,
+      });
+      if (this.lastSearchTerm !== searchTerm) return;
+
+      this.isShowingPeople = false;
+      this.renderPersonProfile(person, credits.length);
+      this.currentResults = credits.map(({ show, roles }) => ({
+        score: null,
+        show,
+        credit: roles.join(" · "),
+      }));
+
+      this.analytics.trackSearch(person.name, credits.length, "filmography");
+      this.displayResults(this.currentResults, `credits for ${person.name}`);
+    } catch (error) {
+      this.handleError(error);
+    } finally {
+      this.hideLoading();
+    }
+  }
+
+  renderPersonProfile(person, creditCount) {
+    const name = this.escapeHtml(person.name);
+    const facts = [
+      person.country && `🌍 ${this.escapeHtml(person.country)}`,
+      person.birthday && `🎂 Born ${this.escapeHtml(person.birthday)}`,
+      person.deathday && `🕯️ Died ${this.escapeHtml(person.deathday)}`,
+      `📺 ${creditCount} show${creditCount === 1 ? "" : "s"}`,
+    ].filter(Boolean);
+
+    this.elements.personProfile.innerHTML = `
+      ${
+        person.image
+          ? `<img src="${this.escapeHtml(
+              person.image
+            )}" alt="${name}" class="person-photo">`
+          : `<div class="person-photo">👤</div>`
+      }
+      <div>
+        <h2>${name}</h2>
+        <div class="person-facts">
+          ${facts.map((fact) => `<span>${fact}</span>`).join("")}
+        </div>
+      </div>
+      ${
+        this.currentPeople.length > 0
+          ? `<button type="button" class="schedule-close person-back">← People</button>`
+          : ""
+      }
+    `;
+    this.elements.personProfile.classList.remove("hidden");
+  }
+
+  hidePersonProfile() {
+    this.elements.personProfile.classList.add("hidden");
+  }
+
+  // ===================================================================
+  // URL ROUTING
+  // ===================================================================
+
+  // Restore the search in the address bar, then follow back/forward
+  setupRouting() {
+    this.router = new UrlRouter();
+    this.searchHistory.render();
+    window.addEventListener("popstate", () => this.restoreRoute());
+    this.restoreRoute();
+  }
+
+  // What's on screen, as router state. Facets, ranges and sort a query
+  // qualifier already carries (genre:comedy, rating:>8) stay in q alone.
+  getRouteState() {
+    const search = this.routeSearch || {};
+    const facets = {};
+    this.facets.fields.forEach((field) => {
+      facets[field] = this.queryFilters[field]
+        ? []
+        : Array.from(this.facets.selected[field]);
+    });
+    const ranges = {};
+    this.facets.rangeFields.forEach((field) => {
+      ranges[field] = this.queryFilters[field]
+        ? { min: null, max: null }
+        : this.facets.ranges[field];
+    });
+
+    let q = search.q || null;
+    if (q && this.searchMode === "people" && !/^person:/i.test(q)) {
+      q = `person:${q}`;
+    }
+
+    return {
+      q,
+      channel: search.channel || null,
+      facets,
+      genreMode: this.facets.genreMode,
+      ranges,
+      yearMode: this.facets.yearMode,
+      sort: this.queryFilters.sort ? null : this.elements.sortFilter.value,
+      secondary: this.elements.sortSecondary.value || null,
+      reverse: this.sortReverse,
+      view: search.q || search.channel ? this.currentViewMode : null,
+      favorites: this.isShowingFavoritesOnly,
+      page: this.isInfiniteScroll() ? 1 : this.page,
+      show: this.routeShow,
+    };
+  }
+
+  // Filters, sort and favorites of a route state as short labels, e.g.
+  // ["Comedy", "rating 8..", "by Highest Rated"]
+  describeFilters(state) {
+    const parts = [];
+
+    this.facets.fields.forEach((field) => {
+      (state.facets[field] || []).forEach((value) =>
+        parts.push(field === "country" ? this.formatCountry(value) : value)
+      );
+    });
+    this.facets.rangeFields.forEach((field) => {
+      const range = this.router.formatRange(state.ranges[field]);
+      if (range) parts.push(`${field} ${range}`);
+    });
+    if (state.sort && state.sort !== "relevance") {
+      parts.push(`by ${this.sorter.keys[state.sort]?.label || state.sort}`);
+    }
+    if (state.favorites) parts.push("favorites");
+
+    return parts;
+  }
+
+  // Mirror the app state in the URL: a new entry for a new search or
+  // detail view, otherwise the current entry is updated
+  updateRoute({ push = false, data = {} } = {}) {
+    if (!this.router || this.isRestoringRoute) return;
+
+    const state = this.getRouteState();
+    if (push && !this.isReplacingRoute) {
+      this.router.push(state, data);
+    } else {
+      this.router.replace(state);
+    }
+  }
+
+  // Bring the app in line with the URL, on load and on back/forward.
+  // The search only runs again when it's a different one.
+  // type is passed on to a search that runs again, for the history
+  async restoreRoute({ type } = {}) {
+    const route = this.router.parse();
+    const current = this.getRouteState();
+    const isNewSearch =
+      route.q !== current.q || route.channel !== current.channel;
+    // Back from a detail view leaves the results as they are
+    const withoutShow = (state) => this.router.stringify({ ...state, show: null });
+    const isSameResults = withoutShow(route) === withoutShow(current);
+
+    this.isRestoringRoute = true;
+    try {
+      if (!route.show && this.routeShow) this.hideShowDetail();
+      if (isNewSearch) this.queryFilters = {};
+
+      this.facets.clear();
+      this.facets.fields.forEach((field) =>
+        this.facets.set(field, route.facets[field])
+      );
+      this.facets.rangeFields.forEach((field) => {
+        this.facets.ranges[field] = { ...route.ranges[field] };
+      });
+      this.facets.genreMode = route.genreMode;
+      this.facets.yearMode = route.yearMode;
+
+      this.elements.sortFilter.value = this.sorter.keys[route.sort]
+        ? route.sort
+        : "relevance";
+      this.elements.sortSecondary.value = this.sorter.keys[route.secondary]
+        ? route.secondary
+        : "";
+      this.sortReverse = route.reverse;
+      this.elements.sortDirection.setAttribute(
+        "aria-pressed",
+        String(route.reverse)
+      );
+
+      this.setFavoritesOnly(route.favorites);
+      if (route.view && route.view !== this.currentViewMode) {
+        this.setViewMode(route.view);
+      }
+      if (!isNewSearch) this.syncFacetsFromQuery();
+      if (!this.isInfiniteScroll()) this.page = route.page;
+    } finally {
+      this.isRestoringRoute = false;
+    }
+
+    if (isNewSearch) {
+      await this.restoreRouteSearch(route, { type });
+      if (route.page > 1) this.goToPage(route.page);
+    } else if (!isSameResults && this.currentResults.length > 0) {
+      this.applyFilters({ scroll: false, keepPage: true });
+    }
+
+    if (route.show && route.show !== this.routeShow) {
+      await this.openRouteShow(route.show);
+    }
+  }
+
+  // Run fn with the history entries it would add updating the current
+  // one instead, for replaying the URL that's already there
+  replacingRoute(fn) {
+    this.isReplacingRoute = true;
+    try {
+      return fn();
+    } finally {
+      this.isReplacingRoute = false;
+    }
+  }
+
+  async restoreRouteSearch({ q, channel }, { type } = {}) {
+    this.elements.input.value = channel ? "" : q || "";
+    this.updateClearButton(this.elements.input.value);
+
+    if (channel) {
+      await this.replacingRoute(() => this.searchByChannel(channel));
+    } else if (q) {
+      await this.replacingRoute(() => this.performSearch(q, { type }));
+    } else {
+      this.routeSearch = null;
+      this.selectedChannel = null;
+      this.elements.categoryItems.forEach((item) =>
+        item.classList.remove("active")
+      );
+      this.hideQueryFeedback();
+      this.clearResults();
+      this.hideScheduleViews();
+      this.showSearchInterface();
+    }
+  }
+
+  // Go to a route as a new history entry, e.g. a saved search. The search
+  // runs again when the URL is already there.
+  async navigateTo(state, { type } = {}) {
+    if (this.router.push({ ...state, show: null })) {
+      await this.restoreRoute({ type });
+    } else {
+      await this.restoreRouteSearch(state, { type });
+    }
+  }
+
+  // Shows (or people) the current search and filters found
+  getResultCount() {
+    return this.isShowingPeople
+      ? this.currentPeople.length
+      : this.filteredResults.length;
+  }
+
+  hasError() {
+    return !this.elements.error.classList.contains("hidden");
+  }
+
+  // The show a link names: from the results when it's there, else fetched
+  async openRouteShow(routeShow) {
+    const item = this.currentResults.find(
+      ({ show }) => `${show.source}:${show.sourceId}` === routeShow
+    );
+    if (item) {
+      this.replacingRoute(() => this.openShowDetail(item.show));
+      return;
+    }
+
+    const [source, ...rest] = routeShow.split(":");
+    const provider = this.providers[source];
+    if (!provider) return;
+
+    try {
+      const show = await provider.getShow(rest.join(":"));
+      if (show) this.replacingRoute(() => this.openShowDetail(show));
+    } catch (error) {
+      console.error("Linked show error:", error);
+      this.showToast("Couldn't open the linked show", "error");
+    }
+  }
+
+  // ===================================================================
+  // SHOW DETAIL
+  // ===================================================================
+
+  openShowCard(card) {
+    const position = Number(card.dataset.position);
+    const item = this.filteredResults[position - 1];
+    if (item) {
+      this.openShowDetail(item.show, position);
+    }
+  }
+
+  // Open the detail modal right away, then fill in cast and episodes
+  async openShowDetail(show, position = null) {
+    if (position !== null) {
+      this.analytics.trackShowClick(show.id, show.name, position);
+    }
+
+    if (this.detailController) {
+      this.detailController.abort();
+    }
+    const controller = new AbortController();
+    this.detailController = controller;
+
+    if (this.elements.showDetail.classList.contains("hidden")) {
+      this.detailReturnFocus = document.activeElement;
+    }
+    this.renderShowDetail(show, null);
+    this.elements.showDetail.classList.remove("hidden");
+    document.body.classList.add("modal-open");
+    this.elements.closeShowDetail.focus();
+
+    // Back closes the detail view again
+    if (show.source) {
+      this.routeShow = `${show.source}:${show.sourceId}`;
+      this.updateRoute({ push: true, data: { detail: true } });
+    }
+
+    const provider = this.providers[show.source] || this.provider;
+
+    try {
+      const details = await provider.getShowDetails(show.sourceId, {
+        signal: controller.signal,
+      });
+      if (this.detailController !== controller) return;
+      this.renderShowDetail(details || show, details ? null : "missing");
+    } catch (error) {
+      if (this.detailController !== controller) return;
+      const { type } = this.api.normalizeError(error);
+      if (type === ApiError.TYPES.ABORTED) return;
+      console.error("Show detail error:", error);
+      this.renderShowDetail(show, "failed");
+    }
+  }
+
+  hideShowDetail() {
+    if (this.detailController) {
+      this.detailController.abort();
+      this.detailController = null;
+    }
+
+    this.elements.showDetail.classList.add("hidden");
+    document.body.classList.remove("modal-open");
+    this.detailReturnFocus?.focus?.();
+    this.detailReturnFocus = null;
+
+    // Step back over the entry opening it added; a detail view the page
+    // was loaded with just drops out of the URL
+    if (this.routeShow === null) return;
+    this.routeShow = null;
+    if (this.router?.isEntry("detail") && !this.isRestoringRoute) {
+      history.back();
+    } else {
+      this.updateRoute();
+    }
+  }
+
+  // Render show facts; cast and seasons appear once details have loaded.
+  // problem is null while loading/loaded, or "missing"/"failed"
+  renderShowDetail(show, problem) {
+    const name = this.escapeHtml(show.name || "Unknown Title");
+    const summary = this.stripHtml(show.summary || "No description available.");
+    const isLoading = !show.cast && !problem;
+
+    const facts = [
+      ["Status", show.status],
+      ["Schedule", this.formatSchedule(show)],
+      ["Network", show.network],
+      ["Premiered", show.premiered],
+      ["Ended", show.ended],
+      ["Runtime", show.runtime ? `${show.runtime} min` : null],
+      ["Language", show.language],
+      ["Genres", show.genres.length > 0 ? show.genres.join(", ") : null],
+      ["Rating", show.rating ? `⭐ ${show.rating}` : null],
+    ]
+      .filter(([, value]) => value)
+      .map(
+        ([label, value]) =>
+          `<dt>${label}</dt><dd>${this.escapeHtml(String(value))}</dd>`
+      );
+
+    // Only link to http(s) sites from the source data
+    if (show.officialSite && /^https?:\/\//i.test(show.officialSite)) {
+      const site = this.escapeHtml(show.officialSite);
+      facts.push(
+        `<dt>Official site</dt><dd><a href="${site}" target="_blank" rel="noopener noreferrer">${site}</a></dd>`
+      );
+    }
+
+    let extra;
+    if (isLoading) {
+      extra = `<p class="detail-loading">Loading cast and episodes...</p>`;
+    } else if (problem) {
+      extra = `<p class="detail-error">${
+        problem === "failed"
+          ? "Couldn't load cast and episodes. Please try again later."
+          : "No further details are available for this show."
+      }</p>`;
+    } else {
+      extra = this.renderCast(show.cast) + this.renderSeasons(show.seasons);
+    }
+    extra = this.renderAkas(show.akas || []) + extra;
+
+    this.elements.showDetailBody.innerHTML = `
+      <div class="detail-header">
+        ${
+          show.imageLarge || show.image
+            ? `<img src="${this.escapeHtml(
+                show.imageLarge || show.image
+              )}" alt="${name}" class="detail-poster">`
+            : ""
+        }
+        <div>
+          <h2 id="show-detail-title">${name}</h2>
+          <dl class="detail-facts">${facts.join("")}</dl>
+        </div>
+      </div>
+      <div class="detail-section">
+        <h3>Summary</h3>
+        <p class="detail-summary">${this.escapeHtml(summary)}</p>
+      </div>
+      ${extra}
+    `;
+  }
+
+  renderAkas(akas) {
+    if (akas.length === 0) return "";
+
+    return `
+      <div class="detail-section">
+        <h3>Also known as</h3>
+        <ul class="detail-akas">
+          ${akas
+            .map(
+              (aka) => `
+            <li>
+              <strong>${this.escapeHtml(aka.name)}</strong>
+              ${aka.country ? `<span>${this.escapeHtml(aka.country)}</span>` : ""}
+            </li>`
+            )
+            .join("")}
+        </ul>
+      </div>
+    `;
+  }
+
+  renderCast(cast) {
+    if (cast.length === 0) return "";
+
+    return `
+      <div class="detail-section">
+        <h3>Cast</h3>
+        <div class="detail-cast">
+          ${cast
+            .slice(0, 12)
+            .map(
+              (member) => `
+            <div class="cast-member">
+              <strong>${this.escapeHtml(member.name)}</strong>
+              ${
+                member.character
+                  ? `<span>as ${this.escapeHtml(member.character)}</span>`
+                  : ""
+              }
+            </div>`
+            )
+            .join("")}
+        </div>
+      </div>
+    `;
+  }
+
+  // One collapsible block per season, latest season expanded
+  renderSeasons(seasons) {
+    if (seasons.length === 0) return "";
+
+    const latest = seasons[seasons.length - 1];
+
+    return `
+      <div class="detail-section">
+        <h3>Episodes</h3>
+        ${seasons
+          .map(
+            (season) => `
+          <details class="detail-season" ${season === latest ? "open" : ""}>
+            <summary>
+              Season ${season.number}
+              <span>${season.episodes.length} episodes${
+                season.premiereDate
+                  ? ` · ${new Date(season.premiereDate).getFullYear()}`
+                  : ""
+              }</span>
+            </summary>
+            ${
+              season.episodes.length > 0
+                ? `<ol class="episode-list">${season.episodes
+                    .map((episode) => this.renderEpisode(season, episode))
+                    .join("")}</ol>`
+                : `<p class="detail-loading">No episodes listed yet.</p>`
+            }
+          </details>`
+          )
+          .join("")}
+      </div>
+    `;
+  }
+
+  renderEpisode(season, episode) {
+    // Specials have no episode number
+    const code =
+      episode.number !== null && episode.number !== undefined
+        ? `S${season.number}E${episode.number}`
+        : "Special";
+
+    return `
+      <li>
+        <span class="episode-number">${code}</span>
+        <span>${this.escapeHtml(episode.name)}</span>
+        ${
+          episode.airdate
+            ? `<span class="episode-airdate">${this.escapeHtml(
+                episode.airdate
+              )}</span>`
+            : ""
+        }
+      </li>
+    `;
+  }
+
+  // "Thursday at 21:00", or null when the show has no regular slot
+  formatSchedule(show) {
+    if (!show.schedule) return null;
+
+    const days = show.schedule.days.join(", ");
+    return show.schedule.time ? `${days} at ${show.schedule.time}` : days;
   }
 
   setViewMode(mode) {
@@ -897,22 +2848,34 @@ class EnhancedTVShowApp {
       this.elements.listView.classList.add("active");
       this.elements.gridView.classList.remove("active");
     }
+    this.responsiveEnhancements?.refreshVirtualLayout();
+    this.updateRoute();
   }
 
   updateResultsStats() {
     const searchTime = performance.now() - this.searchStartTime;
-    const count = this.filteredResults.length;
 
-    this.elements.resultsCount.textContent = `${count} result${
-      count !== 1 ? "s" : ""
-    }`;
+    this.updateResultsCount();
     this.elements.searchTime.textContent = `(${(searchTime / 1000).toFixed(
       2
     )}s)`;
     this.elements.resultsStats.classList.remove("hidden");
   }
 
+  // "12 results", or "Showing 1–50 of 312 results" when paged
+  updateResultsCount() {
+    const count = this.filteredResults.length;
+    const { start, end } = this.getPageRange();
+    const shown = end - start < count ? `Showing ${start + 1}–${end} of ` : "";
+
+    this.elements.resultsCount.textContent = `${shown}${count} result${
+      count !== 1 ? "s" : ""
+    }`;
+  }
+
   showNoResults(searchTerm) {
+    this.hidePager();
+    this.responsiveEnhancements?.stopVirtualScrolling();
     this.elements.results.innerHTML = `
       <div class="no-results">
         <h3>No shows found</h3>
@@ -923,9 +2886,13 @@ class EnhancedTVShowApp {
       </div>
     `;
     this.elements.resultsStats.classList.add("hidden");
+    this.searchHistory.update(0);
   }
 
   showLoading() {
+    this.hideFacets();
+    this.hidePager();
+    this.responsiveEnhancements?.stopVirtualScrolling();
     this.elements.loading.classList.remove("hidden");
     this.elements.results.innerHTML = "";
     this.elements.resultsStats.classList.add("hidden");
@@ -936,6 +2903,9 @@ class EnhancedTVShowApp {
   }
 
   showError(message) {
+    this.hideFacets();
+    this.hidePager();
+    this.responsiveEnhancements?.stopVirtualScrolling();
     this.elements.errorMessage.textContent = message;
     this.elements.error.classList.remove("hidden");
     this.elements.results.innerHTML = "";
@@ -947,6 +2917,12 @@ class EnhancedTVShowApp {
   }
 
   clearResults() {
+    this.cancelEpisodeStats();
+    this.hideFacets();
+    this.hidePager();
+    this.responsiveEnhancements?.stopVirtualScrolling();
+    this.hidePersonProfile();
+    this.isShowingPeople = false;
     this.elements.results.innerHTML = "";
     this.hideError();
     this.hideLoading();
@@ -999,34 +2975,36 @@ class EnhancedTVShowApp {
   handleError(error) {
     console.error("Search error:", error);
 
+    const apiError = this.api.normalizeError(error);
+    const { TYPES } = ApiError;
     let errorMessage = "An unexpected error occurred. Please try again.";
 
-    if (error.name === "AbortError") {
-      return;
-    }
-
-    if (error.code === "ECONNABORTED" || error.message.includes("timeout")) {
-      errorMessage =
-        "Request timed out. Please check your connection and try again.";
-    } else if (error.response) {
-      switch (error.response.status) {
-        case 404:
-          errorMessage = "TV show database not found. Please try again later.";
-          break;
-        case 429:
-          errorMessage =
-            "Too many requests. Please wait a moment and try again.";
-          break;
-        case 500:
-        case 502:
-        case 503:
-          errorMessage = "Server error. Please try again later.";
-          break;
-        default:
-          errorMessage = `Server error (${error.response.status}). Please try again.`;
-      }
-    } else if (error.request) {
-      errorMessage = "Network error. Please check your internet connection.";
+    switch (apiError.type) {
+      case TYPES.ABORTED:
+        return;
+      case TYPES.TIMEOUT:
+        errorMessage =
+          "Request timed out. Please check your connection and try again.";
+        break;
+      case TYPES.NOT_FOUND:
+        errorMessage = "TV show database not found. Please try again later.";
+        break;
+      case TYPES.RATE_LIMITED:
+        errorMessage = "Too many requests. Please wait a moment and try again.";
+        break;
+      case TYPES.SERVER:
+        errorMessage = "Server error. Please try again later.";
+        break;
+      case TYPES.HTTP:
+        errorMessage = `Server error (${apiError.status}). Please try again.`;
+        break;
+      case TYPES.NETWORK:
+        if (!navigator.onLine) {
+          this.showOfflineState();
+          return;
+        }
+        errorMessage = "Network error. Please check your internet connection.";
+        break;
     }
 
     this.showError(errorMessage);
@@ -1050,6 +3028,50 @@ class EnhancedTVShowApp {
     if (text.length <= maxLength) return text;
     return text.substring(0, maxLength).trim() + "...";
   }
+
+  formatRelativeTime(timestamp) {
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+
+    if (minutes < 1) return "just now";
+    if (minutes < 60) return `${minutes} min ago`;
+
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} hour${hours !== 1 ? "s" : ""} ago`;
+
+    const days = Math.floor(hours / 24);
+    return `${days} day${days !== 1 ? "s" : ""} ago`;
+  }
+
+  // Local calendar date as YYYY-MM-DD
+  toDateString(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, "0");
+    const day = String(date.getDate()).padStart(2, "0");
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  // "Monday, October 19" for a YYYY-MM-DD date
+  formatDay(dateString) {
+    return new Date(`${dateString}T00:00`).toLocaleDateString(undefined, {
+      weekday: "long",
+      month: "long",
+      day: "numeric",
+    });
+  }
+
+  // Loose channel matching: "FOX" matches "FOX Sports",
+  // "Amazon Prime Video" matches "Prime Video"
+  matchesChannelName(name, wanted) {
+    if (!name || !wanted) return false;
+    const a = name.toLowerCase();
+    const b = wanted.toLowerCase();
+    return a.includes(b) || b.includes(a);
+  }
+
+  // Only one schedule view is visible at a time
+  hideScheduleViews() {
+    this.scheduleView.hide();
+    this.releaseCalendar.hide();
+  }
 }
 
 // Initialize the enhanced app
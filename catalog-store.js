@@ -0,0 +1,612 @@
+/**
+ * Catalog Store for TV Show Search App
+ * Crawls the paginated TVMaze show index into IndexedDB for channel browsing,
+ * and keeps an index of alternate titles (AKAs) for alias matching
+ */
+
+class CatalogStore {
+  constructor(api, config = window.AppConfig) {
+    this.api = api;
+    this.pageDelay = config.get("catalog.pageDelay");
+    this.akaTtl = config.get("catalog.akaTtl");
+    this.akaIndexLimit = config.get("catalog.akaIndexLimit");
+    this.pageSize = 250; // TVMaze page N holds IDs N*250 to N*250+249
+    this.dbName =
+      config.get("api.mode") === "mock"
+        ? "tvshow_catalog_mock"
+        : "tvshow_catalog";
+
+    this.crawlPromise = null;
+    this.syncPromise = null;
+    this.akaPromise = null;
+    this.progressListeners = new Set();
+    this.dbPromise = this.openDatabase();
+  }
+
+  openDatabase() {
+    if (typeof indexedDB === "undefined") {
+      return Promise.resolve(null);
+    }
+
+    return new Promise((resolve) => {
+      const request = indexedDB.open(this.dbName, 2);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+
+        if (event.oldVersion < 1) {
+          const shows = db.createObjectStore("shows", { keyPath: "id" });
+          shows.createIndex("channel", "channel");
+          db.createObjectStore("meta", { keyPath: "key" });
+        }
+
+        // Version 2: alternate titles, plus a popularity index that picks
+        // which catalog shows get them
+        if (event.oldVersion < 2) {
+          request.transaction
+            .objectStore("shows")
+            .createIndex("weight", "show.weight");
+          db.createObjectStore("akas", { keyPath: "id" });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn("Catalog store: IndexedDB unavailable");
+        resolve(null);
+      };
+    });
+  }
+
+  async isAvailable() {
+    return (await this.dbPromise) !== null;
+  }
+
+  // ===================================================================
+  // CRAWLING
+  // ===================================================================
+
+  // True once every page of /shows has been stored
+  async isComplete() {
+    return (await this.getMeta("crawlComplete")) === true;
+  }
+
+  // Subscribe to crawl progress; returns an unsubscribe function
+  onProgress(listener) {
+    this.progressListeners.add(listener);
+    return () => this.progressListeners.delete(listener);
+  }
+
+  // Walk /shows?page=N until TVMaze returns 404. Only one crawl runs at a
+  // time; concurrent callers share it. Resumes from the last stored page.
+  crawl() {
+    if (!this.crawlPromise) {
+      this.crawlPromise = this.runCrawl().finally(() => {
+        this.crawlPromise = null;
+      });
+    }
+    return this.crawlPromise;
+  }
+
+  async runCrawl() {
+    let page = (await this.getMeta("nextPage")) || 0;
+    let total = await this.count();
+
+    // Changes made while crawling are picked up by the first sync
+    if (!(await this.getMeta("crawlStartedAt"))) {
+      await this.setMeta("crawlStartedAt", Date.now());
+    }
+
+    this.emitProgress({ phase: "crawl", page, total, done: false });
+
+    while (true) {
+      let shows;
+
+      try {
+        shows = await this.api.get("/shows", { params: { page } });
+      } catch (error) {
+        if (error.type === ApiError.TYPES.NOT_FOUND) break;
+        throw error;
+      }
+
+      // Pages can be sparse; only a 404 marks the end of the index
+      await this.putShows(shows || []);
+      page++;
+      total = await this.count();
+      await this.setMeta("nextPage", page);
+
+      this.emitProgress({ phase: "crawl", page, total, done: false });
+      await this.delay(this.pageDelay);
+    }
+
+    await this.setMeta("crawlComplete", true);
+    await this.setMeta("lastSyncedAt", await this.getMeta("crawlStartedAt"));
+
+    this.emitProgress({ phase: "crawl", page, total, done: true });
+    return total;
+  }
+
+  // ===================================================================
+  // INCREMENTAL SYNC
+  // ===================================================================
+
+  // Refetch only shows changed since the last sync, using /updates/shows.
+  // Resolves with the updated shows. Concurrent callers share one run.
+  sync() {
+    if (!this.syncPromise) {
+      this.syncPromise = this.runSync().finally(() => {
+        this.syncPromise = null;
+      });
+    }
+    return this.syncPromise;
+  }
+
+  isSyncing() {
+    return this.syncPromise !== null || this.crawlPromise !== null;
+  }
+
+  async runSync() {
+    const startedAt = Date.now();
+    const lastSyncedAt = (await this.getMeta("lastSyncedAt")) || 0;
+    const since = this.getUpdateWindow(startedAt - lastSyncedAt);
+
+    // Map of show ID to last-updated unix timestamp (seconds)
+    const updates = await this.api.getShowUpdates(since);
+    const candidateIds = Object.keys(updates)
+      .map(Number)
+      .filter((id) => updates[id] * 1000 >= lastSyncedAt);
+
+    const storedUpdated = await this.getUpdatedTimestamps(candidateIds);
+    const changedIds = candidateIds.filter(
+      (id) => !storedUpdated.has(id) || storedUpdated.get(id) < updates[id]
+    );
+
+    const updatedShows = [];
+    const pages = this.groupByPage(changedIds);
+    let processed = 0;
+
+    this.emitProgress({
+      phase: "sync",
+      synced: 0,
+      total: changedIds.length,
+      done: false,
+    });
+
+    for (const [page, ids] of pages) {
+      const shows = await this.fetchChangedShows(page, ids);
+      await this.putShows(shows);
+      updatedShows.push(...shows);
+
+      processed += ids.length;
+      this.emitProgress({
+        phase: "sync",
+        synced: processed,
+        total: changedIds.length,
+        done: false,
+      });
+    }
+
+    await this.setMeta("lastSyncedAt", startedAt);
+
+    this.emitProgress({
+      phase: "sync",
+      synced: processed,
+      total: changedIds.length,
+      done: true,
+    });
+    return updatedShows;
+  }
+
+  // Smallest /updates/shows window covering the elapsed time; null asks
+  // for the full update list when the last sync is over a month old
+  getUpdateWindow(elapsed) {
+    const day = 24 * 60 * 60 * 1000;
+
+    if (elapsed <= day) return "day";
+    if (elapsed <= 7 * day) return "week";
+    if (elapsed <= 30 * day) return "month";
+    return null;
+  }
+
+  // Group IDs by index page so several changes cost a single request
+  groupByPage(ids) {
+    const pages = new Map();
+
+    ids.forEach((id) => {
+      const page = Math.floor(id / this.pageSize);
+      if (!pages.has(page)) pages.set(page, []);
+      pages.get(page).push(id);
+    });
+
+    return pages;
+  }
+
+  // One changed show is fetched directly, several via their index page
+  async fetchChangedShows(page, ids) {
+    try {
+      if (ids.length === 1) {
+        return [await this.api.getShow(ids[0])];
+      }
+
+      const wanted = new Set(ids);
+      const shows = await this.api.get("/shows", { params: { page } });
+      return shows.filter((show) => wanted.has(show.id));
+    } catch (error) {
+      // Shows deleted since the update list was built are skipped
+      if (error.type === ApiError.TYPES.NOT_FOUND) return [];
+      throw error;
+    }
+  }
+
+  // Stored `updated` timestamps for the given show IDs
+  getUpdatedTimestamps(ids) {
+    return this.transact("shows", "readonly", (store, setResult) => {
+      const timestamps = new Map();
+
+      ids.forEach((id) => {
+        store.get(id).onsuccess = (event) => {
+          const record = event.target.result;
+          if (record) timestamps.set(id, record.updated);
+        };
+      });
+
+      setResult(timestamps);
+    });
+  }
+
+  // ===================================================================
+  // ALTERNATE TITLES
+  // ===================================================================
+
+  // Alternate titles for the given show IDs as a Map of ID -> raw TVMaze
+  // akas. Stored entries are reused; missing or outdated ones are fetched
+  // from /shows/:id/akas, at most fetchLimit of them per call.
+  async getAkas(ids, { signal, fetchLimit = Infinity } = {}) {
+    const stored = await this.getStoredAkas(ids);
+    const akas = new Map();
+    const toFetch = [];
+
+    ids.forEach((id) => {
+      const record = stored.get(id);
+      if (record) akas.set(id, record.akas);
+      if (!this.isAkaRecordFresh(record) && toFetch.length < fetchLimit) {
+        toFetch.push(id);
+      }
+    });
+
+    const records = (
+      await Promise.all(toFetch.map((id) => this.fetchAkas(id, signal)))
+    ).filter(Boolean);
+
+    await this.putAkas(records);
+    records.forEach((record) => akas.set(record.id, record.akas));
+    return akas;
+  }
+
+  // Shows with an alternate title containing the query, as
+  // [{ id, akas, aka }] where aka is the title that matched
+  async findAliasMatches(query, limit) {
+    const term = CatalogStore.normalizeTitle(query);
+    if (!term || !(await this.isAvailable())) return [];
+
+    return this.transact("akas", "readonly", (store, setResult) => {
+      const matches = [];
+      const request = store.openCursor();
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || matches.length >= limit) return;
+
+        const { id, akas, titles } = cursor.value;
+        const index = titles.findIndex((title) => title.includes(term));
+        if (index !== -1) {
+          matches.push({ id, akas, aka: akas[index] });
+        }
+        cursor.continue();
+      };
+
+      setResult(matches);
+    });
+  }
+
+  // Fetch alternate titles for the most popular catalog shows that lack
+  // them, one at a time as background requests so searches go first. Only
+  // one run at a time; concurrent callers share it.
+  indexAkas() {
+    if (!this.akaPromise) {
+      this.akaPromise = this.runAkaIndex().finally(() => {
+        this.akaPromise = null;
+      });
+    }
+    return this.akaPromise;
+  }
+
+  async runAkaIndex() {
+    const popularIds = await this.getPopularIds(this.akaIndexLimit);
+    const stored = await this.getStoredAkas(popularIds);
+    const ids = popularIds.filter(
+      (id) => !this.isAkaRecordFresh(stored.get(id))
+    );
+    if (ids.length === 0) return 0;
+
+    let indexed = 0;
+    this.emitProgress({ phase: "akas", indexed, total: ids.length, done: false });
+
+    for (const id of ids) {
+      const record = await this.fetchAkas(id, null, { background: true });
+      if (record) await this.putAkas([record]);
+
+      indexed++;
+      this.emitProgress({
+        phase: "akas",
+        indexed,
+        total: ids.length,
+        done: false,
+      });
+      await this.delay(this.pageDelay);
+    }
+
+    this.emitProgress({ phase: "akas", indexed, total: ids.length, done: true });
+    return indexed;
+  }
+
+  isAkaRecordFresh(record) {
+    return Boolean(record) && Date.now() - record.fetchedAt < this.akaTtl;
+  }
+
+  // Stored record for a show's alternate titles, or null if the request
+  // failed and should be retried later
+  async fetchAkas(id, signal, { background = false } = {}) {
+    let akas;
+
+    try {
+      akas = (await this.api.getShowAkas(id, { signal, background })) || [];
+    } catch (error) {
+      if (error.type === ApiError.TYPES.ABORTED) throw error;
+      if (error.type !== ApiError.TYPES.NOT_FOUND) {
+        console.warn(`Catalog store: AKAs for show ${id} failed`, error);
+        return null;
+      }
+      akas = [];
+    }
+
+    return {
+      id,
+      akas,
+      titles: akas.map((aka) => CatalogStore.normalizeTitle(aka.name)),
+      fetchedAt: Date.now(),
+    };
+  }
+
+  // Lower-cased, accent-free title for matching, so "trone" finds
+  // "Le Trône de fer"
+  static normalizeTitle(title) {
+    return String(title || "")
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .trim();
+  }
+
+  // Summary of the local catalog for the UI
+  async getStatus() {
+    return {
+      complete: await this.isComplete(),
+      total: await this.count(),
+      lastSyncedAt: (await this.getMeta("lastSyncedAt")) || null,
+      syncing: this.isSyncing(),
+    };
+  }
+
+  emitProgress(progress) {
+    this.progressListeners.forEach((listener) => listener(progress));
+  }
+
+  delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  // ===================================================================
+  // QUERIES
+  // ===================================================================
+
+  // Every stored show whose network or web channel matches the name
+  async getShowsByChannel(channel) {
+    const channelKeys = await this.getChannelKeys();
+    const matchingKeys = channelKeys.filter((key) =>
+      this.matchesChannel(key, channel)
+    );
+
+    return this.transact("shows", "readonly", (store, setResult) => {
+      const shows = [];
+      const index = store.index("channel");
+
+      matchingKeys.forEach((key) => {
+        index.getAll(key).onsuccess = (event) => {
+          event.target.result.forEach((record) => shows.push(record.show));
+        };
+      });
+
+      setResult(shows);
+    });
+  }
+
+  // Raw stored shows for the given IDs as a Map; unknown IDs are left out
+  async getShowsById(ids) {
+    if (!(await this.isAvailable())) return new Map();
+
+    return this.transact("shows", "readonly", (store, setResult) => {
+      const shows = new Map();
+
+      ids.forEach((id) => {
+        store.get(id).onsuccess = (event) => {
+          const record = event.target.result;
+          if (record) shows.set(id, record.show);
+        };
+      });
+
+      setResult(shows);
+    });
+  }
+
+  // Call callback(show) for every stored show, e.g. to build a search index
+  async eachShow(callback) {
+    if (!(await this.isAvailable())) return;
+
+    await this.transact("shows", "readonly", (store) => {
+      const request = store.openCursor();
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        callback(cursor.value.show);
+        cursor.continue();
+      };
+    });
+  }
+
+  // IDs of the highest-weighted shows, most popular first
+  getPopularIds(limit) {
+    return this.transact("shows", "readonly", (store, setResult) => {
+      const ids = [];
+      const request = store.index("weight").openKeyCursor(null, "prev");
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || ids.length >= limit) return;
+        ids.push(cursor.primaryKey);
+        cursor.continue();
+      };
+
+      setResult(ids);
+    });
+  }
+
+  // Distinct lower-cased channel names present in the catalog
+  getChannelKeys() {
+    return this.transact("shows", "readonly", (store, setResult) => {
+      const keys = [];
+      const request = store.index("channel").openKeyCursor(null, "nextunique");
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        keys.push(cursor.key);
+        cursor.continue();
+      };
+
+      setResult(keys);
+    });
+  }
+
+  // Match "HBO" to "HBO Max", "Amazon Prime Video" to "Prime Video", etc.
+  matchesChannel(channelKey, channel) {
+    const wanted = channel.toLowerCase();
+    return (
+      channelKey !== "" &&
+      (channelKey.includes(wanted) || wanted.includes(channelKey))
+    );
+  }
+
+  count() {
+    return this.transact("shows", "readonly", (store, setResult) => {
+      store.count().onsuccess = (event) => setResult(event.target.result);
+    });
+  }
+
+  // ===================================================================
+  // STORAGE
+  // ===================================================================
+
+  putShows(shows) {
+    return this.transact("shows", "readwrite", (store) => {
+      shows.forEach((show) => store.put(this.toRecord(show)));
+    });
+  }
+
+  // Stored record: the show (minus API links) plus an indexed channel key
+  // and its update timestamp for incremental syncs
+  toRecord(show) {
+    const { _links, ...data } = show;
+    const channel = show.network?.name || show.webChannel?.name || "";
+
+    return {
+      id: show.id,
+      channel: channel.trim().toLowerCase(),
+      updated: show.updated || 0,
+      show: data,
+    };
+  }
+
+  // Stored alternate title records for the given show IDs as a Map
+  async getStoredAkas(ids) {
+    if (!(await this.isAvailable())) return new Map();
+
+    return this.transact("akas", "readonly", (store, setResult) => {
+      const records = new Map();
+
+      ids.forEach((id) => {
+        store.get(id).onsuccess = (event) => {
+          if (event.target.result) records.set(id, event.target.result);
+        };
+      });
+
+      setResult(records);
+    });
+  }
+
+  // Every stored show's alternate titles as a Map of ID -> raw akas
+  async getAllAkas() {
+    if (!(await this.isAvailable())) return new Map();
+
+    return this.transact("akas", "readonly", (store, setResult) => {
+      store.getAll().onsuccess = (event) =>
+        setResult(
+          new Map(event.target.result.map((record) => [record.id, record.akas]))
+        );
+    });
+  }
+
+  async putAkas(records) {
+    if (records.length === 0 || !(await this.isAvailable())) return;
+
+    await this.transact("akas", "readwrite", (store) => {
+      records.forEach((record) => store.put(record));
+    });
+  }
+
+  getMeta(key) {
+    return this.transact("meta", "readonly", (store, setResult) => {
+      store.get(key).onsuccess = (event) =>
+        setResult(event.target.result?.value);
+    });
+  }
+
+  setMeta(key, value) {
+    return this.transact("meta", "readwrite", (store) => {
+      store.put({ key, value });
+    });
+  }
+
+  // Run operation(store, setResult) in one transaction and resolve with
+  // the value passed to setResult once the transaction completes
+  async transact(storeName, mode, operation) {
+    const db = await this.dbPromise;
+    if (!db) throw new Error("Catalog storage is unavailable");
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      let result;
+
+      operation(transaction.objectStore(storeName), (value) => {
+        result = value;
+      });
+
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+}
+
+// Export for use in main app
+window.CatalogStore = CatalogStore;
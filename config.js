@@ -16,9 +16,73 @@ class ConfigManager {
 
       // API Configuration
       api: {
+        mode: this.getApiMode(), // "live" or "mock" (fixtures, see mock-api.js)
+        mock: this.getMockOptions(),
         baseUrl: "https://api.tvmaze.com",
         timeout: 10000,
         retries: 3,
+        retryDelay: 500,
+        rateLimit: {
+          maxRequests: 20, // TVMaze: at least 20 calls per 10 seconds
+          windowMs: 10000,
+          minInterval: 100,
+          maxReplays: 5, // Replays of a request after a 429
+          defaultRetryAfter: 10000, // Used when 429 has no Retry-After
+          backgroundRequests: 10, // Most of maxRequests background work may use per window
+        },
+      },
+
+      // Response Cache Configuration (durations in ms)
+      cache: {
+        enabled: true,
+        defaultTtl: 300000, // 5 minutes
+        ttl: {
+          "/search/shows": 600000, // 10 minutes
+          "/search/people": 600000, // 10 minutes
+          "/shows": 3600000, // 1 hour
+          "/schedule": 1800000, // 30 minutes
+          "/schedule/web": 1800000, // 30 minutes
+          "/shows/:id/akas": 604800000, // 7 days, alternate titles rarely change
+        },
+        maxStale: 604800000, // 7 days, older entries are never served
+        maxEntries: 300, // In memory; least recently used go first
+        maxStoredEntries: 2000, // In IndexedDB; oldest go first
+        pruneInterval: 60000, // Clean up IndexedDB at most once a minute
+      },
+
+      // Local Catalog Configuration
+      catalog: {
+        pageDelay: 500, // Pause between pages, leaves room for searches
+        syncInterval: 3600000, // Check /updates/shows at most hourly
+        akaTtl: 604800000, // Refetch stored alternate titles after 7 days
+        akaFetchLimit: 10, // Search results per query whose AKAs are fetched
+        akaIndexLimit: 500, // Most popular catalog shows indexed by AKA
+      },
+
+      // Local Search Index Configuration
+      search: {
+        localResults: 20, // Instant local matches shown while TVMaze answers
+        localWeight: 0.4, // Share of local match quality vs TVMaze's score
+        suggestions: 6, // Show titles in the autocomplete dropdown
+        suggestDelay: 150, // Typing pause (ms) before titles are looked up
+        history: 50, // Recent searches kept, not counting pinned ones
+      },
+
+      // Schedule Configuration
+      schedule: {
+        country: "US", // Default country for "What's on tonight"
+        releaseDays: 7, // Default streaming calendar range
+        maxReleaseDays: 14, // One /schedule/web request per day
+      },
+
+      // Data Provider Configuration
+      providers: {
+        default: "tvmaze",
+        catalog: {
+          url: "", // JSON or CSV file; empty disables the catalog source
+          label: "Team Catalog",
+          format: null, // "json" or "csv"; inferred from the URL when null
+        },
       },
 
       // App Configuration
@@ -26,7 +90,10 @@ class ConfigManager {
         name: "TV Show Search App",
         version: "2.0.0",
         environment: this.getEnvironment(),
-        maxResults: 50,
+        maxResults: 50, // Results rendered per page (or per infinite-scroll batch)
+        pagination: "infinite", // "infinite" scroll or numbered "pages"
+        virtualScrollThreshold: 100, // Window the results once more cards than this are rendered
+        episodeBatchSize: 20, // Shows whose episodes are fetched between re-sorts for episode sorts
         debounceDelay: 300,
         toastDuration: 3000,
       },
@@ -53,6 +120,30 @@ class ConfigManager {
     return null;
   }
 
+  // Use the fixture-backed mock API with ?api=mock
+  getApiMode() {
+    return this.getUrlParam("api") === "mock" ? "mock" : "live";
+  }
+
+  // Mock API simulation, e.g. ?api=mock&mockLatency=800&mockFailure=429
+  getMockOptions() {
+    const failureRate = this.getUrlParam("mockFailureRate");
+    const latency = this.getUrlParam("mockLatency");
+
+    return {
+      latency: latency !== null ? Number(latency) : 200,
+      failure: this.getUrlParam("mockFailure"), // 429, 500, 503, timeout, network
+      failureRate: failureRate !== null ? Number(failureRate) : 1,
+    };
+  }
+
+  getUrlParam(name) {
+    if (typeof window === "undefined" || typeof URLSearchParams === "undefined") {
+      return null;
+    }
+    return new URLSearchParams(window.location.search).get(name);
+  }
+
   // Check if analytics should be enabled
   isAnalyticsEnabled() {
     // Disable in development or if no measurement ID
@@ -0,0 +1,873 @@
+/**
+ * Data Providers for TV Show Search App
+ * Map each show source onto one normalized show model used by the UI
+ *
+ * Normalized show:
+ * {
+ *   id,            // Unique across sources (TVMaze IDs stay numeric)
+ *   source,        // Provider ID, e.g. "tvmaze" or "catalog"
+ *   sourceId,      // ID within the source
+ *   name, summary, // Summary may contain HTML
+ *   image,         // Poster URL or null
+ *   imageLarge,    // Full-size poster URL or null
+ *   rating,        // Average rating (0-10) or null
+ *   premiered, ended,  // "YYYY-MM-DD" or null
+ *   status, type, language,
+ *   genres,        // Array of strings
+ *   runtime,       // Minutes per episode or null
+ *   network,       // Network or web channel name, or null
+ *   country,       // Country code or null
+ *   officialSite, url, weight,
+ *   schedule,      // { time, days } or null
+ *   externals,     // { imdb, thetvdb, tvrage }
+ *   akas,          // Alternate titles [{ name, country }]; country is a
+ *                  // name or null. Empty until loaded with getAkas().
+ *   episodeCount, lastAired, // Null until loaded with getEpisodeStats()
+ * }
+ *
+ * People are { id, name, image, country, birthday, deathday, gender, url }.
+ *
+ * Search results are [{ score, show }] with a normalized show, plus
+ * matchedAlias: { name, country } when only an alternate title matched.
+ * Sources with a local index add localScore (0-1 match quality) and
+ * relevance, the blended score results are ordered by.
+ *
+ * Show details are a normalized show plus cast: [{ name, character, image }]
+ * and seasons: [{ number, name, premiereDate, endDate, episodes }].
+ */
+
+// Base provider: documents the interface every source implements
+class DataProvider {
+  constructor(id, label) {
+    this.id = id;
+    this.label = label;
+  }
+
+  // Search shows by text; resolves [{ score, show }]
+  async search(query, options = {}) {
+    throw new Error(`${this.id}: search() not implemented`);
+  }
+
+  // Instant matches without a network round trip, or null if the source
+  // has no local index (or it isn't ready yet)
+  async searchLocal(query) {
+    return null;
+  }
+
+  // Title suggestions while typing, best first
+  async suggest(query, { limit = 6, ...options } = {}) {
+    const local = await this.searchLocal(query);
+    return (local || (await this.search(query, options))).slice(0, limit);
+  }
+
+  // Every show on a network or web channel, or null if unsupported
+  async browseChannel(channel) {
+    return null;
+  }
+
+  // A single show by its source ID, or null
+  async getShow(sourceId, options = {}) {
+    return null;
+  }
+
+  // A show with cast and seasons; sources without them return empty lists
+  async getShowDetails(sourceId, options = {}) {
+    const show = await this.getShow(sourceId, options);
+    return show && { ...show, cast: [], seasons: [] };
+  }
+
+  // The show with an IMDb, TheTVDB or TVRage ID, or null
+  async lookupExternalId(type, externalId, options = {}) {
+    return null;
+  }
+
+  // Search cast and crew; resolves [{ score, person }]
+  async searchPeople(query, options = {}) {
+    return [];
+  }
+
+  // A person's shows as [{ show, roles }], newest first
+  async getPersonCredits(personId, options = {}) {
+    return [];
+  }
+
+  // Episode totals as a Map of show ID -> { episodeCount, lastAired }.
+  // Sources that carry them inline just return the show's fields.
+  async getEpisodeStats(shows, options = {}) {
+    return new Map(
+      shows.map((show) => [
+        show.id,
+        { episodeCount: show.episodeCount, lastAired: show.lastAired },
+      ])
+    );
+  }
+
+  // Alternate titles as a Map of show ID -> [{ name, country }]. Sources
+  // that carry them inline just return show.akas.
+  async getAkas(shows, options = {}) {
+    return new Map(shows.map((show) => [show.id, show.akas || []]));
+  }
+
+  // Attach alternate titles to results and note which ones only matched
+  // the query through an alias
+  async annotateAliases(results, query, options = {}) {
+    const akas = await this.getAkas(
+      results.map((result) => result.show),
+      options
+    );
+
+    return results.map((result) => {
+      const showAkas = akas.get(result.show.id) || result.show.akas || [];
+      return {
+        ...result,
+        show: { ...result.show, akas: showAkas },
+        matchedAlias:
+          result.matchedAlias ||
+          this.findMatchedAlias(result.show.name, showAkas, query),
+      };
+    });
+  }
+
+  // The alternate title containing the query, or null when the main
+  // title already does
+  findMatchedAlias(name, akas, query) {
+    const term = CatalogStore.normalizeTitle(query);
+    if (!term || CatalogStore.normalizeTitle(name).includes(term)) return null;
+
+    return (
+      akas.find((aka) => CatalogStore.normalizeTitle(aka.name).includes(term)) ||
+      null
+    );
+  }
+
+  // Map a raw source record onto the normalized show model
+  normalizeShow(raw) {
+    throw new Error(`${this.id}: normalizeShow() not implemented`);
+  }
+}
+
+// ===================================================================
+// TVMAZE PROVIDER
+// ===================================================================
+
+class TVMazeProvider extends DataProvider {
+  constructor(api, catalog) {
+    super("tvmaze", "TVMaze");
+    this.api = api;
+    this.catalog = catalog;
+    this.akaFetchLimit = window.AppConfig.get("catalog.akaFetchLimit");
+    this.localResults = window.AppConfig.get("search.localResults");
+    this.localWeight = window.AppConfig.get("search.localWeight");
+
+    // Local fuzzy index; searchLocal() waits for the first full build
+    this.index = new SearchIndex();
+    this.indexReady = false;
+    this.indexPromise = null;
+
+    // Rebuild after the catalog crawls, syncs or gains alternate titles
+    catalog.onProgress(({ done }) => {
+      if (done) this.buildIndex({ rebuild: true });
+    });
+  }
+
+  async search(query, { signal, onUpdate } = {}) {
+    const results = await this.api.searchShows(query, {
+      signal,
+      onUpdate:
+        onUpdate && (async (data) => onUpdate(await this.mergeResults(query, data))),
+    });
+    return this.mergeResults(query, results, { signal });
+  }
+
+  // TVMaze results plus alias and local index matches, deduplicated and
+  // ordered by relevance
+  async mergeResults(query, data, options = {}) {
+    this.indexResults(data);
+
+    const results = await this.addAliasMatches(
+      query,
+      this.normalizeResults(data),
+      options
+    );
+    const found = new Set(results.map((result) => result.show.id));
+    const local = ((await this.searchLocal(query)) || []).filter(
+      (result) => !found.has(result.show.id)
+    );
+
+    return this.rankResults(query, [...results, ...local]);
+  }
+
+  // Blend TVMaze's score (relative to the best result) with local match
+  // quality; ties keep TVMaze's order
+  rankResults(query, results) {
+    const bestScore = Math.max(0, ...results.map((result) => result.score || 0));
+
+    return results
+      .map((result, position) => {
+        const show = result.show;
+        const localScore =
+          result.localScore ??
+          this.index.scoreShow(
+            {
+              name: show.name,
+              aliases: show.akas.map((aka) => aka.name),
+              genres: show.genres,
+              network: show.network,
+            },
+            query
+          );
+        const apiScore = bestScore > 0 ? (result.score || 0) / bestScore : 0;
+        const relevance =
+          (1 - this.localWeight) * apiScore + this.localWeight * localScore;
+
+        return { result: { ...result, localScore, relevance }, position };
+      })
+      .sort(
+        (a, b) =>
+          b.result.relevance - a.result.relevance || a.position - b.position
+      )
+      .map(({ result }) => result);
+  }
+
+  async searchLocal(query) {
+    if (!this.indexReady) {
+      this.buildIndex();
+      return null;
+    }
+
+    const matches = this.index.search(query, this.localResults);
+    const stored = await this.catalog.getShowsById(
+      matches.filter((match) => !match.data).map((match) => match.id)
+    );
+
+    return matches
+      .map(({ id, score, data }) => {
+        const raw = data || stored.get(id);
+        return (
+          raw && {
+            score: null,
+            show: this.normalizeShow(raw),
+            localScore: score,
+            relevance: this.localWeight * score,
+          }
+        );
+      })
+      .filter(Boolean);
+  }
+
+  // Local matches when the index has enough, topped up from TVMaze.
+  // Skips alias lookups so suggestions keep up with typing.
+  async suggest(query, { limit = 6, signal } = {}) {
+    const local = (await this.searchLocal(query)) || [];
+    if (local.length >= limit) return local.slice(0, limit);
+
+    let data;
+    try {
+      data = (await this.api.searchShows(query, { signal })) || [];
+    } catch (error) {
+      // Offline, whatever the index had is better than nothing
+      if (local.length === 0 || error.type === ApiError.TYPES.ABORTED) throw error;
+      return local;
+    }
+    this.indexResults(data);
+
+    const found = new Set(data.map(({ show }) => show.id));
+    return this.rankResults(query, [
+      ...this.normalizeResults(data),
+      ...local.filter((result) => !found.has(result.show.id)),
+    ]).slice(0, limit);
+  }
+
+  // Index the catalog, stored alternate titles and cached search responses
+  // in the background. Concurrent callers share one build.
+  buildIndex({ rebuild = false } = {}) {
+    if (!this.indexPromise || rebuild) {
+      const promise = this.runIndexBuild()
+        .then((index) => {
+          if (this.indexPromise !== promise) return;
+          this.index = index;
+          this.indexReady = true;
+        })
+        .catch((error) => {
+          console.warn("Search index build failed:", error);
+          if (this.indexPromise === promise) this.indexPromise = null;
+        });
+      this.indexPromise = promise;
+    }
+    return this.indexPromise;
+  }
+
+  async runIndexBuild() {
+    const index = new SearchIndex();
+    const akas = await this.catalog.getAllAkas();
+
+    // Cached responses keep their show data; catalog records replace them
+    // and are read back from IndexedDB when they match
+    const cached = this.api.cache
+      ? await this.api.cache.getEntries("/search/shows")
+      : [];
+    cached.forEach(({ data }) =>
+      (data || []).forEach(({ show }) =>
+        this.indexShow(index, show, akas.get(show.id), show)
+      )
+    );
+    await this.catalog.eachShow((show) =>
+      this.indexShow(index, show, akas.get(show.id))
+    );
+
+    return index;
+  }
+
+  // New shows from a TVMaze response; already indexed ones keep their AKAs
+  indexResults(data) {
+    (data || []).forEach(({ show }) => {
+      if (!this.index.has(show.id)) {
+        this.indexShow(this.index, show, null, show);
+      }
+    });
+  }
+
+  indexShow(index, raw, akas, data = null) {
+    index.add(
+      raw.id,
+      {
+        name: raw.name,
+        aliases: (akas || []).map((aka) => aka.name),
+        genres: raw.genres || [],
+        network: raw.network?.name || raw.webChannel?.name || null,
+        weight: raw.weight,
+      },
+      data
+    );
+  }
+
+  // Append shows that TVMaze's search missed but whose stored alternate
+  // titles contain the query
+  async addAliasMatches(query, results, options = {}) {
+    const found = new Set(results.map((result) => result.show.id));
+    const matches = (
+      await this.catalog.findAliasMatches(query, this.akaFetchLimit)
+    ).filter((match) => !found.has(match.id));
+    if (matches.length === 0) return results;
+
+    const stored = await this.catalog.getShowsById(matches.map(({ id }) => id));
+    const extra = await Promise.all(
+      matches.map(async ({ id, akas, aka }) => {
+        let raw = stored.get(id);
+
+        if (!raw) {
+          try {
+            raw = await this.api.getShow(id, options);
+          } catch (error) {
+            if (error.type === ApiError.TYPES.NOT_FOUND) return null;
+            throw error;
+          }
+        }
+
+        return {
+          score: null,
+          show: { ...this.normalizeShow(raw), akas: this.normalizeAkas(akas) },
+          matchedAlias: this.normalizeAkas([aka])[0],
+        };
+      })
+    );
+
+    return [...results, ...extra.filter(Boolean)];
+  }
+
+  // Episode lists come from /shows/:id/episodes, queued by the scheduler
+  // (behind other requests with background); onProgress(done, total) runs
+  // after each show. Shows that fail are left out of the Map.
+  async getEpisodeStats(shows, { signal, onProgress, background } = {}) {
+    const stats = new Map();
+    let done = 0;
+
+    await Promise.all(
+      shows.map(async (show) => {
+        try {
+          const episodes = await this.api.getShowEpisodes(show.sourceId, {
+            signal,
+            background,
+          });
+          stats.set(show.id, this.summarizeEpisodes(episodes));
+        } catch (error) {
+          if (error.type === ApiError.TYPES.ABORTED) throw error;
+          console.warn(`Episodes for show ${show.id} failed:`, error);
+        }
+        onProgress?.(++done, shows.length);
+      })
+    );
+
+    return stats;
+  }
+
+  // Count every listed episode; last aired is the latest airdate up to today
+  summarizeEpisodes(episodes) {
+    const today = new Date().toISOString().slice(0, 10);
+    const aired = (episodes || [])
+      .map((episode) => episode.airdate)
+      .filter((date) => date && date <= today)
+      .sort();
+
+    return {
+      episodeCount: (episodes || []).length,
+      lastAired: aired[aired.length - 1] || null,
+    };
+  }
+
+  // Stored alternate titles, fetching those not stored yet for the first
+  // akaFetchLimit shows
+  async getAkas(shows, { signal } = {}) {
+    const akas = await this.catalog.getAkas(
+      shows.map((show) => show.sourceId),
+      { signal, fetchLimit: this.akaFetchLimit }
+    );
+
+    return new Map(
+      Array.from(akas, ([id, raw]) => [id, this.normalizeAkas(raw)])
+    );
+  }
+
+  // Browse the local catalog, crawling it first if needed
+  async browseChannel(channel) {
+    if (!(await this.catalog.isAvailable())) return null;
+
+    if (!(await this.catalog.isComplete())) {
+      await this.catalog.crawl();
+    }
+
+    const shows = await this.catalog.getShowsByChannel(channel);
+    const akas = await this.catalog.getAkas(
+      shows.map((show) => show.id),
+      { fetchLimit: 0 }
+    );
+
+    return shows.map((show) => ({
+      score: null,
+      show: {
+        ...this.normalizeShow(show),
+        akas: this.normalizeAkas(akas.get(show.id)),
+      },
+    }));
+  }
+
+  async getShow(sourceId, options = {}) {
+    return this.normalizeShow(await this.api.getShow(sourceId, options));
+  }
+
+  async getShowDetails(sourceId, options = {}) {
+    const [raw, akas] = await Promise.all([
+      this.api.getShowDetails(sourceId, options),
+      this.catalog.getAkas([Number(sourceId)], options),
+    ]);
+    const embedded = raw._embedded || {};
+
+    return {
+      ...this.normalizeShow(raw),
+      akas: this.normalizeAkas(akas.get(Number(sourceId))),
+      cast: (embedded.cast || []).map(({ person, character }) => ({
+        name: person.name,
+        character: character?.name || null,
+        image: person.image?.medium || character?.image?.medium || null,
+      })),
+      seasons: this.groupEpisodes(
+        embedded.seasons || [],
+        embedded.episodes || []
+      ),
+    };
+  }
+
+  // Attach each episode to its season, keeping TVMaze's airing order
+  groupEpisodes(seasons, episodes) {
+    return seasons.map((season) => ({
+      number: season.number,
+      name: season.name || null,
+      premiereDate: season.premiereDate || null,
+      endDate: season.endDate || null,
+      episodes: episodes
+        .filter((episode) => episode.season === season.number)
+        .map((episode) => ({
+          number: episode.number,
+          name: episode.name || "",
+          airdate: episode.airdate || null,
+          runtime: episode.runtime || null,
+          summary: episode.summary || "",
+        })),
+    }));
+  }
+
+  async lookupExternalId(type, externalId, options = {}) {
+    try {
+      return this.normalizeShow(
+        await this.api.lookupShow(type, externalId, options)
+      );
+    } catch (error) {
+      if (error.type === ApiError.TYPES.NOT_FOUND) return null;
+      throw error;
+    }
+  }
+
+  async searchPeople(query, options = {}) {
+    const results = await this.api.searchPeople(query, options);
+    return (results || []).map((result) => ({
+      score: result.score ?? null,
+      person: this.normalizePerson(result.person),
+    }));
+  }
+
+  // Cast and crew credits merged per show, so an actor who also produced
+  // a show gets one entry with both roles
+  async getPersonCredits(personId, options = {}) {
+    const [cast, crew] = await Promise.all([
+      this.api.getPersonCastCredits(personId, options),
+      this.api.getPersonCrewCredits(personId, options),
+    ]);
+    const credits = new Map();
+
+    const addRole = (credit, role) => {
+      const show = credit._embedded?.show;
+      if (!show) return;
+
+      if (!credits.has(show.id)) {
+        credits.set(show.id, { show: this.normalizeShow(show), roles: [] });
+      }
+      const { roles } = credits.get(show.id);
+      if (role && !roles.includes(role)) roles.push(role);
+    };
+
+    (cast || []).forEach((credit) => {
+      const character = credit._embedded?.character?.name;
+      const prefix = credit.voice ? "voice of" : "as";
+      addRole(credit, character ? `${prefix} ${character}` : "Cast");
+    });
+    (crew || []).forEach((credit) => addRole(credit, credit.type));
+
+    return Array.from(credits.values()).sort((a, b) =>
+      (b.show.premiered || "").localeCompare(a.show.premiered || "")
+    );
+  }
+
+  normalizePerson(raw) {
+    return {
+      id: raw.id,
+      name: raw.name || "",
+      image: raw.image?.medium || raw.image?.original || null,
+      country: raw.country?.name || null,
+      birthday: raw.birthday || null,
+      deathday: raw.deathday || null,
+      gender: raw.gender || null,
+      url: raw.url || null,
+    };
+  }
+
+  // Broadcast lineup for a country and date, as normalized episodes
+  async getSchedule(country, date, options = {}) {
+    const episodes = await this.api.getSchedule(country, date, options);
+    return (episodes || []).map((episode) =>
+      this.normalizeEpisode(episode, episode.show)
+    );
+  }
+
+  // Streaming releases for a date; the show is embedded, not inline
+  async getWebSchedule(date, options = {}) {
+    const episodes = await this.api.getWebSchedule(date, options);
+    return (episodes || []).map((episode) =>
+      this.normalizeEpisode(episode, episode._embedded?.show || episode.show)
+    );
+  }
+
+  normalizeEpisode(raw, show) {
+    return {
+      id: raw.id,
+      name: raw.name || "",
+      season: raw.season ?? null,
+      number: raw.number ?? null,
+      airdate: raw.airdate || null,
+      airtime: raw.airtime || "",
+      airstamp: raw.airstamp || null,
+      runtime: raw.runtime || null,
+      show: this.normalizeShow(show),
+    };
+  }
+
+  normalizeAkas(akas) {
+    return (akas || []).map((aka) => ({
+      name: aka.name || "",
+      country: aka.country?.name || null,
+    }));
+  }
+
+  normalizeResults(results) {
+    return (results || []).map((result) => ({
+      score: result.score ?? null,
+      show: this.normalizeShow(result.show),
+    }));
+  }
+
+  normalizeShow(raw) {
+    const channel = raw.network || raw.webChannel || null;
+
+    return {
+      id: raw.id,
+      source: this.id,
+      sourceId: raw.id,
+      name: raw.name || "",
+      summary: raw.summary || "",
+      image: raw.image?.medium || raw.image?.original || null,
+      imageLarge: raw.image?.original || raw.image?.medium || null,
+      rating: raw.rating?.average ?? null,
+      premiered: raw.premiered || null,
+      ended: raw.ended || null,
+      status: raw.status || null,
+      type: raw.type || null,
+      language: raw.language || null,
+      genres: raw.genres || [],
+      runtime: raw.runtime || raw.averageRuntime || null,
+      network: channel?.name || null,
+      country: channel?.country?.code || null,
+      officialSite: raw.officialSite || null,
+      url: raw.url || null,
+      weight: raw.weight ?? null,
+      schedule: raw.schedule?.days?.length
+        ? { time: raw.schedule.time || null, days: raw.schedule.days }
+        : null,
+      externals: {
+        imdb: raw.externals?.imdb || null,
+        thetvdb: raw.externals?.thetvdb || null,
+        tvrage: raw.externals?.tvrage || null,
+      },
+      akas: [],
+      episodeCount: null,
+      lastAired: null,
+    };
+  }
+}
+
+// ===================================================================
+// STATIC CATALOG PROVIDER (JSON or CSV file)
+// ===================================================================
+
+/**
+ * Records are flat objects (JSON array) or CSV rows with these columns:
+ * id, name, summary, image, rating, premiered, ended, status, type,
+ * language, genres ("Drama|Crime"), runtime, network, country,
+ * officialSite, imdb, thetvdb, tvrage, akas ("Casa de papel|Haus des Geldes",
+ * or in JSON an array of names or { name, country } objects), episodes
+ * (episode count) and lastAired (YYYY-MM-DD)
+ */
+class StaticCatalogProvider extends DataProvider {
+  constructor({ url, label = "Team Catalog", format = null }) {
+    super("catalog", label);
+    this.url = url;
+    this.format = format || (url.toLowerCase().endsWith(".csv") ? "csv" : "json");
+    this.showsPromise = null;
+  }
+
+  async search(query) {
+    const term = query.trim().toLowerCase();
+    const shows = await this.loadShows();
+
+    return shows
+      .map((show) => ({
+        score: this.scoreMatch(show, term),
+        show,
+        matchedAlias: this.findMatchedAlias(show.name, show.akas, term),
+      }))
+      .filter((result) => result.score > 0)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  async browseChannel(channel) {
+    const wanted = channel.toLowerCase();
+    const shows = await this.loadShows();
+
+    return shows
+      .filter((show) => {
+        const network = (show.network || "").toLowerCase();
+        return network && (network.includes(wanted) || wanted.includes(network));
+      })
+      .map((show) => ({ score: null, show }));
+  }
+
+  async getShow(sourceId) {
+    const shows = await this.loadShows();
+    return shows.find((show) => String(show.sourceId) === String(sourceId)) || null;
+  }
+
+  async lookupExternalId(type, externalId) {
+    const wanted = String(externalId).toLowerCase();
+    const shows = await this.loadShows();
+
+    return (
+      shows.find(
+        (show) => String(show.externals[type] ?? "").toLowerCase() === wanted
+      ) || null
+    );
+  }
+
+  // Name matches rank above alias, genre and network matches
+  scoreMatch(show, term) {
+    const name = show.name.toLowerCase();
+
+    if (name === term) return 1;
+    if (name.startsWith(term)) return 0.8;
+    if (name.includes(term)) return 0.6;
+    if (this.findMatchedAlias(show.name, show.akas, term)) return 0.5;
+    if (show.genres.some((genre) => genre.toLowerCase() === term)) return 0.4;
+    if ((show.network || "").toLowerCase().includes(term)) return 0.3;
+    return 0;
+  }
+
+  // Fetch and parse the catalog file once
+  loadShows() {
+    if (!this.showsPromise) {
+      this.showsPromise = this.fetchRecords()
+        .then((records) =>
+          records
+            .map((record) => this.normalizeShow(record))
+            .filter((show) => show.name)
+        )
+        .catch((error) => {
+          this.showsPromise = null;
+          throw error;
+        });
+    }
+    return this.showsPromise;
+  }
+
+  async fetchRecords() {
+    let response;
+
+    try {
+      response = await fetch(this.url);
+    } catch (error) {
+      throw new ApiError(ApiError.TYPES.NETWORK, "Catalog file unreachable", {
+        url: this.url,
+        cause: error,
+      });
+    }
+
+    if (!response.ok) {
+      const type =
+        response.status === 404 ? ApiError.TYPES.NOT_FOUND : ApiError.TYPES.HTTP;
+      throw new ApiError(type, `Catalog file failed with ${response.status}`, {
+        status: response.status,
+        url: this.url,
+      });
+    }
+
+    return this.format === "csv"
+      ? this.parseCsv(await response.text())
+      : response.json();
+  }
+
+  // Minimal RFC 4180 parser: quoted fields, escaped quotes, embedded newlines
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ",") {
+        row.push(field);
+        field = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && text[i + 1] === "\n") i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = "";
+      } else {
+        field += char;
+      }
+    }
+
+    if (field || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    const [header, ...records] = rows.filter((cells) => cells.some(Boolean));
+    if (!header) return [];
+
+    const columns = header.map((column) => column.trim());
+    return records.map((cells) =>
+      Object.fromEntries(
+        columns.map((column, index) => [column, (cells[index] || "").trim()])
+      )
+    );
+  }
+
+  normalizeShow(raw) {
+    const toNumber = (value) =>
+      value === "" || value === null || value === undefined
+        ? null
+        : Number(value);
+    const genres = Array.isArray(raw.genres)
+      ? raw.genres
+      : (raw.genres || "")
+          .split("|")
+          .map((genre) => genre.trim())
+          .filter(Boolean);
+    const akas = (
+      Array.isArray(raw.akas) ? raw.akas : (raw.akas || "").split("|")
+    )
+      .map((aka) =>
+        typeof aka === "string"
+          ? { name: aka.trim(), country: null }
+          : { name: aka.name || "", country: aka.country || null }
+      )
+      .filter((aka) => aka.name);
+
+    return {
+      id: `${this.id}:${raw.id}`,
+      source: this.id,
+      sourceId: raw.id,
+      name: raw.name || "",
+      summary: raw.summary || "",
+      image: raw.image || null,
+      imageLarge: raw.image || null,
+      rating: toNumber(raw.rating),
+      premiered: raw.premiered || null,
+      ended: raw.ended || null,
+      status: raw.status || null,
+      type: raw.type || null,
+      language: raw.language || null,
+      genres,
+      runtime: toNumber(raw.runtime),
+      network: raw.network || null,
+      country: raw.country || null,
+      officialSite: raw.officialSite || null,
+      url: raw.url || null,
+      weight: toNumber(raw.weight),
+      schedule: null,
+      externals: {
+        imdb: raw.imdb || null,
+        thetvdb: toNumber(raw.thetvdb),
+        tvrage: toNumber(raw.tvrage),
+      },
+      akas,
+      episodeCount: toNumber(raw.episodes),
+      lastAired: raw.lastAired || null,
+    };
+  }
+}
+
+// Export for use in main app
+window.DataProvider = DataProvider;
+window.TVMazeProvider = TVMazeProvider;
+window.StaticCatalogProvider = StaticCatalogProvider;
@@ -0,0 +1,192 @@
+/**
+ * Facet Filters for TV Show Search App
+ * Multi-select genre, channel, status, type, language and country filters
+ * built from the current results, with live per-option counts, plus year,
+ * rating and runtime ranges
+ */
+
+class FacetFilters {
+  constructor() {
+    this.fields = ["genre", "network", "status", "type", "language", "country"];
+    this.selected = {};
+    this.fields.forEach((field) => (this.selected[field] = new Set()));
+
+    // "and": shows need every selected genre; "or": any of them.
+    // Every other facet is single-valued, so always "or".
+    this.genreMode = "and";
+
+    // Inclusive { min, max } bounds; null leaves that end open. Ranges
+    // from search box qualifiers (rating:>8) may also set minExclusive or
+    // maxExclusive.
+    this.rangeFields = ["year", "rating", "runtime"];
+    this.ranges = {};
+    this.rangeFields.forEach(
+      (field) => (this.ranges[field] = { min: null, max: null })
+    );
+
+    // "premiered": the premiere year is in range; "aired": the show was on
+    // air at some point in the range (premiered..ended, or still running)
+    this.yearMode = "premiered";
+  }
+
+  // A show's values for a facet
+  getValues(show, field) {
+    switch (field) {
+      case "genre":
+        return show.genres || [];
+      case "network":
+        return show.network ? [show.network.trim()] : [];
+      case "status":
+      case "type":
+      case "language":
+      case "country":
+        return show[field] ? [show[field]] : [];
+      default:
+        return [];
+    }
+  }
+
+  hasSelection(field = null) {
+    const fields = field ? [field] : this.fields;
+    return fields.some((name) => this.selected[name].size > 0);
+  }
+
+  isRangeActive(field) {
+    const { min, max } = this.ranges[field];
+    return min !== null || max !== null;
+  }
+
+  // True when a show passes every facet and range, or all but skipField
+  matches(show, skipField = null) {
+    return (
+      this.fields.every(
+        (field) => field === skipField || this.matchesField(show, field)
+      ) &&
+      this.rangeFields.every(
+        (field) => field === skipField || this.matchesRange(show, field)
+      )
+    );
+  }
+
+  matchesField(show, field) {
+    const selected = this.selected[field];
+    if (selected.size === 0) return true;
+
+    const values = this.getValues(show, field);
+    const has = (value) => values.includes(value);
+
+    return field === "genre" && this.genreMode === "and"
+      ? Array.from(selected).every(has)
+      : Array.from(selected).some(has);
+  }
+
+  // Shows without the value never match an active range
+  matchesRange(show, field) {
+    if (!this.isRangeActive(field)) return true;
+    const { min, max, minExclusive, maxExclusive } = this.ranges[field];
+    const isAbove = (value) =>
+      min === null || (minExclusive ? value > min : value >= min);
+    const isBelow = (value) =>
+      max === null || (maxExclusive ? value < max : value <= max);
+
+    if (field === "year" && this.yearMode === "aired") {
+      const [start, end] = this.getAiredYears(show);
+      if (start === null) return false;
+      return isAbove(end) && isBelow(start);
+    }
+
+    const value = this.getRangeValue(show, field);
+    if (value === null) return false;
+    return isAbove(value) && isBelow(value);
+  }
+
+  getRangeValue(show, field) {
+    switch (field) {
+      case "year":
+        return show.premiered ? Number(show.premiered.slice(0, 4)) : null;
+      case "rating":
+        return show.rating ?? null;
+      case "runtime":
+        return show.runtime ?? null;
+      default:
+        return null;
+    }
+  }
+
+  // [first, last] year on air; running shows are on air this year
+  getAiredYears(show) {
+    const start = this.getRangeValue(show, "year");
+    if (start === null) return [null, null];
+
+    if (show.ended) return [start, Number(show.ended.slice(0, 4))];
+    return [start, show.status === "Ended" ? start : new Date().getFullYear()];
+  }
+
+  // { min, max } of a range field's values across items, or null
+  getBounds(items, field) {
+    const values = items
+      .flatMap(({ show }) =>
+        field === "year" && this.yearMode === "aired"
+          ? this.getAiredYears(show)
+          : [this.getRangeValue(show, field)]
+      )
+      .filter((value) => value !== null);
+    if (values.length === 0) return null;
+    return { min: Math.min(...values), max: Math.max(...values) };
+  }
+
+  // Typed bounds are inclusive, so editing either end drops exclusive ones
+  setRange(field, bound, value) {
+    const { min, max } = this.ranges[field];
+    this.ranges[field] = { min, max, [bound]: value };
+  }
+
+  // [{ value, count, selected }] for every value in items, by count then
+  // name. count is how many items would show with that option ticked (in
+  // "and" mode, on top of the genres already ticked), 0 when none would.
+  // Selected options are always listed.
+  getOptions(items, field) {
+    const andGenres = field === "genre" && this.genreMode === "and";
+    const counts = new Map();
+
+    this.selected[field].forEach((value) => counts.set(value, 0));
+
+    items.forEach(({ show }) => {
+      const isMatch = this.matches(show, andGenres ? null : field);
+      new Set(this.getValues(show, field)).forEach((value) => {
+        counts.set(value, (counts.get(value) || 0) + (isMatch ? 1 : 0));
+      });
+    });
+
+    return Array.from(counts, ([value, count]) => ({
+      value,
+      count,
+      selected: this.selected[field].has(value),
+    })).sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+  }
+
+  toggle(field, value, isSelected) {
+    if (isSelected) {
+      this.selected[field].add(value);
+    } else {
+      this.selected[field].delete(value);
+    }
+  }
+
+  set(field, values) {
+    this.selected[field] = new Set(values);
+  }
+
+  // Clear one facet or range, or everything
+  clear(field = null) {
+    this.fields.forEach((name) => {
+      if (!field || name === field) this.selected[name].clear();
+    });
+    this.rangeFields.forEach((name) => {
+      if (!field || name === field) this.ranges[name] = { min: null, max: null };
+    });
+  }
+}
+
+// Export for use in main app
+window.FacetFilters = FacetFilters;
@@ -0,0 +1,275 @@
+/**
+ * TVMaze API Fixtures for TV Show Search App
+ * Trimmed responses used by the mock API (see mock-api.js)
+ */
+
+const TVMAZE_FIXTURES = {
+  shows: [
+    {
+      id: 169,
+      url: "https://www.tvmaze.com/shows/169/breaking-bad",
+      name: "Breaking Bad",
+      type: "Scripted",
+      language: "English",
+      genres: ["Drama", "Crime", "Thriller"],
+      status: "Ended",
+      runtime: 60,
+      averageRuntime: 60,
+      premiered: "2008-01-20",
+      ended: "2013-09-29",
+      officialSite: "https://www.amc.com/shows/breaking-bad",
+      schedule: { time: "22:00", days: ["Sunday"] },
+      rating: { average: 9.2 },
+      weight: 98,
+      network: {
+        id: 20,
+        name: "AMC",
+        country: { name: "United States", code: "US", timezone: "America/New_York" },
+      },
+      webChannel: null,
+      externals: { tvrage: 18164, thetvdb: 81189, imdb: "tt0903747" },
+      image: null,
+      summary:
+        "<p><b>Breaking Bad</b> follows a high school chemistry teacher who turns to manufacturing methamphetamine after a terminal diagnosis.</p>",
+      updated: 1704794122,
+    },
+    {
+      id: 526,
+      url: "https://www.tvmaze.com/shows/526/the-office",
+      name: "The Office",
+      type: "Scripted",
+      language: "English",
+      genres: ["Comedy"],
+      status: "Ended",
+      runtime: 30,
+      averageRuntime: 30,
+      premiered: "2005-03-24",
+      ended: "2013-05-16",
+      officialSite: "https://www.nbc.com/the-office",
+      schedule: { time: "21:00", days: ["Thursday"] },
+      rating: { average: 8.7 },
+      weight: 97,
+      network: {
+        id: 1,
+        name: "NBC",
+        country: { name: "United States", code: "US", timezone: "America/New_York" },
+      },
+      webChannel: null,
+      externals: { tvrage: 6061, thetvdb: 73244, imdb: "tt0386676" },
+      image: null,
+      summary:
+        "<p>A mockumentary on a group of typical office workers, where the workday consists of ego clashes and inappropriate behavior.</p>",
+      updated: 1704316513,
+    },
+    {
+      id: 82,
+      url: "https://www.tvmaze.com/shows/82/game-of-thrones",
+      name: "Game of Thrones",
+      type: "Scripted",
+      language: "English",
+      genres: ["Drama", "Adventure", "Fantasy"],
+      status: "Ended",
+      runtime: 60,
+      averageRuntime: 61,
+      premiered: "2011-04-17",
+      ended: "2019-05-19",
+      officialSite: "https://www.hbo.com/game-of-thrones",
+      schedule: { time: "21:00", days: ["Sunday"] },
+      rating: { average: 8.9 },
+      weight: 99,
+      network: {
+        id: 8,
+        name: "HBO",
+        country: { name: "United States", code: "US", timezone: "America/New_York" },
+      },
+      webChannel: null,
+      externals: { tvrage: 24493, thetvdb: 121361, imdb: "tt0944947" },
+      image: null,
+      summary:
+        "<p>Noble families fight for control over the lands of Westeros while an ancient enemy returns.</p>",
+      updated: 1704300000,
+    },
+    {
+      id: 2993,
+      url: "https://www.tvmaze.com/shows/2993/stranger-things",
+      name: "Stranger Things",
+      type: "Scripted",
+      language: "English",
+      genres: ["Drama", "Fantasy", "Science-Fiction"],
+      status: "Running",
+      runtime: null,
+      averageRuntime: 75,
+      premiered: "2016-07-15",
+      ended: null,
+      officialSite: "https://www.netflix.com/",
+      schedule: { time: "", days: [] },
+      rating: { average: 8.6 },
+      weight: 100,
+      network: null,
+      webChannel: {
+        id: 1,
+        name: "Netflix",
+        country: null,
+      },
+      externals: { tvrage: 48493, thetvdb: 305288, imdb: "tt4574334" },
+      image: null,
+      summary:
+        "<p>When a young boy vanishes, a small town uncovers a mystery involving secret experiments and supernatural forces.</p>",
+      updated: 1704500000,
+    },
+    {
+      id: 38963,
+      url: "https://www.tvmaze.com/shows/38963/the-mandalorian",
+      name: "The Mandalorian",
+      type: "Scripted",
+      language: "English",
+      genres: ["Action", "Adventure", "Science-Fiction"],
+      status: "Running",
+      runtime: null,
+      averageRuntime: 40,
+      premiered: "2019-11-12",
+      ended: null,
+      officialSite: "https://www.disneyplus.com/",
+      schedule: { time: "", days: ["Wednesday"] },
+      rating: { average: 8.4 },
+      weight: 96,
+      network: null,
+      webChannel: {
+        id: 287,
+        name: "Disney+",
+        country: null,
+      },
+      externals: { tvrage: null, thetvdb: 361753, imdb: "tt8111088" },
+      image: null,
+      summary:
+        "<p>A lone bounty hunter makes his way through the outer reaches of the galaxy.</p>",
+      updated: 1704400000,
+    },
+    {
+      id: 44458,
+      url: "https://www.tvmaze.com/shows/44458/ted-lasso",
+      name: "Ted Lasso",
+      type: "Scripted",
+      language: "English",
+      genres: ["Comedy", "Drama", "Sports"],
+      status: "Ended",
+      runtime: null,
+      averageRuntime: 40,
+      premiered: "2020-08-14",
+      ended: "2023-05-31",
+      officialSite: "https://tv.apple.com/",
+      schedule: { time: "", days: ["Wednesday"] },
+      rating: { average: 8.3 },
+      weight: 94,
+      network: null,
+      webChannel: {
+        id: 310,
+        name: "Apple TV+",
+        country: null,
+      },
+      externals: { tvrage: null, thetvdb: 383203, imdb: "tt10986410" },
+      image: null,
+      summary:
+        "<p>An American football coach is hired to manage an English football club despite having no experience.</p>",
+      updated: 1704200000,
+    },
+  ],
+
+  // Embeds keyed by show ID; shows without an entry return empty lists
+  cast: {
+    169: [
+      {
+        person: { id: 14245, name: "Bryan Cranston", image: null },
+        character: { id: 1, name: "Walter White", image: null },
+      },
+      {
+        person: { id: 14246, name: "Aaron Paul", image: null },
+        character: { id: 2, name: "Jesse Pinkman", image: null },
+      },
+    ],
+    526: [
+      {
+        person: { id: 25, name: "Steve Carell", image: null },
+        character: { id: 3, name: "Michael Scott", image: null },
+      },
+    ],
+  },
+
+  // People keyed by ID; their cast credits come from the cast lists above
+  people: {
+    14245: {
+      id: 14245,
+      url: "https://www.tvmaze.com/people/14245/bryan-cranston",
+      name: "Bryan Cranston",
+      country: { name: "United States", code: "US" },
+      birthday: "1956-03-07",
+      deathday: null,
+      gender: "Male",
+      image: null,
+    },
+    14246: {
+      id: 14246,
+      url: "https://www.tvmaze.com/people/14246/aaron-paul",
+      name: "Aaron Paul",
+      country: { name: "United States", code: "US" },
+      birthday: "1979-08-27",
+      deathday: null,
+      gender: "Male",
+      image: null,
+    },
+    25: {
+      id: 25,
+      url: "https://www.tvmaze.com/people/25/steve-carell",
+      name: "Steve Carell",
+      country: { name: "United States", code: "US" },
+      birthday: "1962-08-16",
+      deathday: null,
+      gender: "Male",
+      image: null,
+    },
+  },
+
+  // Alternate titles keyed by show ID
+  akas: {
+    169: [
+      { name: "Во все тяжкие", country: { name: "Russian Federation", code: "RU", timezone: "Europe/Moscow" } },
+      { name: "Breaking Bad - Reazione a catena", country: { name: "Italy", code: "IT", timezone: "Europe/Rome" } },
+    ],
+    82: [
+      { name: "Le Trône de fer", country: { name: "France", code: "FR", timezone: "Europe/Paris" } },
+      { name: "Juego de tronos", country: { name: "Spain", code: "ES", timezone: "Europe/Madrid" } },
+      { name: "Il Trono di Spade", country: { name: "Italy", code: "IT", timezone: "Europe/Rome" } },
+    ],
+    526: [{ name: "The Office: An American Workplace", country: null }],
+  },
+
+  // Crew credits keyed by person ID
+  crewcredits: {
+    14245: [{ type: "Co-Executive Producer", show: 169 }],
+    25: [{ type: "Director", show: 526 }],
+  },
+
+  seasons: {
+    169: [
+      { id: 1, number: 1, episodeOrder: 2, premiereDate: "2008-01-20", endDate: "2008-01-27" },
+      { id: 2, number: 2, episodeOrder: 2, premiereDate: "2009-03-08", endDate: "2009-03-15" },
+    ],
+  },
+
+  episodes: {
+    169: [
+      { id: 12192, name: "Pilot", season: 1, number: 1, airdate: "2008-01-20", runtime: 60, summary: "<p>A chemistry teacher receives life-changing news.</p>" },
+      { id: 12193, name: "Cat's in the Bag...", season: 1, number: 2, airdate: "2008-01-27", runtime: 60, summary: "<p>Walt and Jesse clean up a mess.</p>" },
+      { id: 12199, name: "Seven Thirty-Seven", season: 2, number: 1, airdate: "2009-03-08", runtime: 60, summary: "<p>Walt and Jesse face a dangerous associate.</p>" },
+      { id: 12200, name: "Grilled", season: 2, number: 2, airdate: "2009-03-15", runtime: 60, summary: "<p>A kidnapping goes wrong.</p>" },
+    ],
+  },
+};
+
+// Export for browser and Node (mock-server.js)
+if (typeof window !== "undefined") {
+  window.TVMAZE_FIXTURES = TVMAZE_FIXTURES;
+}
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = TVMAZE_FIXTURES;
+}
@@ -0,0 +1,363 @@
+/**
+ * Mock TVMaze API for TV Show Search App
+ * Fixture-backed stand-in for development and testing, with failure simulation.
+ * Used in the browser as an axios adapter (?api=mock) and by mock-server.js.
+ */
+
+// Per-show resources available as /shows/:id/{name} and embed[]={name}
+const SHOW_EMBEDS = ["cast", "seasons", "episodes", "akas"];
+
+class MockTVMazeApi {
+  constructor(fixtures, options = {}) {
+    this.fixtures = fixtures;
+    this.latency = options.latency || 0;
+    this.failure = options.failure || null; // "429", "500", "503", "timeout", "network"
+    this.failureRate = options.failureRate ?? 1;
+    this.pageSize = 250;
+  }
+
+  // ===================================================================
+  // ROUTING
+  // ===================================================================
+
+  // Resolve a GET request to { status, data, headers }
+  route(path, params = {}) {
+    const segments = path.replace(/^\/+|\/+$/g, "").split("/");
+    const [resource, id, child] = segments;
+
+    if (resource === "search" && id === "shows") {
+      return this.ok(this.searchShows(params.q || ""));
+    }
+
+    if (resource === "search" && id === "people") {
+      return this.ok(this.searchPeople(params.q || ""));
+    }
+
+    if (resource === "people" && id && child) {
+      const credits = this.getPersonCredits(
+        Number(id),
+        child,
+        this.toArray(params.embed)
+      );
+      return credits ? this.ok(credits) : this.notFound();
+    }
+
+    if (resource === "lookup" && id === "shows") {
+      return this.lookupShow(params);
+    }
+
+    if (resource === "schedule" && id === "web") {
+      return this.ok(this.getWebSchedule(params.date));
+    }
+
+    if (resource === "schedule" && !id) {
+      return this.ok(this.getSchedule(params.country || "US", params.date));
+    }
+
+    if (resource === "updates" && id === "shows") {
+      return this.ok(this.getUpdates());
+    }
+
+    if (resource === "shows" && !id) {
+      const page = Number(params.page) || 0;
+      const shows = this.fixtures.shows.filter(
+        (show) => Math.floor(show.id / this.pageSize) === page
+      );
+      // TVMaze answers 404 past the last page
+      return page > this.getLastPage() ? this.notFound() : this.ok(shows);
+    }
+
+    if (resource === "shows" && id) {
+      const show = this.fixtures.shows.find((item) => item.id === Number(id));
+      if (!show) return this.notFound();
+
+      if (child) {
+        const embedded = this.getEmbed(show.id, child);
+        return embedded ? this.ok(embedded) : this.notFound();
+      }
+
+      return this.ok(this.withEmbeds(show, this.toArray(params.embed)));
+    }
+
+    return this.notFound();
+  }
+
+  // Name match scored like TVMaze: exact > prefix > substring. Alternate
+  // titles only match from their start, so substring AKA matches are left
+  // to the app's local alias index.
+  searchShows(query) {
+    const term = query.trim().toLowerCase();
+    if (!term) return [];
+
+    return this.fixtures.shows
+      .map((show) => {
+        const name = show.name.toLowerCase();
+        let score = 0;
+
+        if (name === term) score = 1;
+        else if (name.startsWith(term)) score = 0.8;
+        else if (name.includes(term)) score = 0.6;
+        else if (
+          (this.fixtures.akas?.[show.id] || []).some((aka) =>
+            aka.name.toLowerCase().startsWith(term)
+          )
+        )
+          score = 0.5;
+        else if (show.genres.some((genre) => genre.toLowerCase() === term))
+          score = 0.4;
+
+        return { score, show };
+      })
+      .filter((result) => result.score > 0)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  searchPeople(query) {
+    const term = query.trim().toLowerCase();
+    if (!term) return [];
+
+    return Object.values(this.fixtures.people || {})
+      .filter((person) => person.name.toLowerCase().includes(term))
+      .map((person) => ({
+        score: person.name.toLowerCase() === term ? 1 : 0.6,
+        person,
+      }));
+  }
+
+  // castcredits come from the cast embeds, crewcredits from their fixture
+  getPersonCredits(personId, kind, embeds) {
+    if (!this.fixtures.people?.[personId]) return null;
+
+    const findShow = (showId) =>
+      this.fixtures.shows.find((show) => show.id === Number(showId));
+    let credits;
+
+    if (kind === "castcredits") {
+      credits = Object.entries(this.fixtures.cast || {}).flatMap(
+        ([showId, cast]) =>
+          cast
+            .filter((member) => member.person.id === personId)
+            .map((member) => ({
+              self: false,
+              voice: false,
+              show: findShow(showId),
+              character: member.character,
+            }))
+      );
+    } else if (kind === "crewcredits") {
+      credits = (this.fixtures.crewcredits?.[personId] || []).map(
+        (credit) => ({ type: credit.type, show: findShow(credit.show) })
+      );
+    } else {
+      return null;
+    }
+
+    // Linked resources are only included when embedded
+    return credits.map(({ show, character, ...credit }) => {
+      const _embedded = {};
+      if (embeds.includes("show")) _embedded.show = show;
+      if (embeds.includes("character") && character) {
+        _embedded.character = character;
+      }
+      return Object.keys(_embedded).length ? { ...credit, _embedded } : credit;
+    });
+  }
+
+  // TVMaze redirects to /shows/:id; the mock answers with the show itself
+  lookupShow(params) {
+    const type = ["imdb", "thetvdb", "tvrage"].find((key) => params[key]);
+    if (!type) return this.notFound();
+
+    const wanted = String(params[type]).toLowerCase();
+    const show = this.fixtures.shows.find(
+      (item) => String(item.externals?.[type] ?? "").toLowerCase() === wanted
+    );
+    return show ? this.ok(show) : this.notFound();
+  }
+
+  // Every fixture show on a network in the country airs each day
+  getSchedule(country, date) {
+    const airdate = date || new Date().toISOString().slice(0, 10);
+
+    return this.fixtures.shows
+      .filter((show) => show.network?.country?.code === country)
+      .map((show, index) => ({
+        id: show.id * 1000 + index,
+        name: `${show.name} Tonight`,
+        season: 1,
+        number: index + 1,
+        type: "regular",
+        airdate,
+        airtime: show.schedule?.time || "",
+        airstamp: `${airdate}T${show.schedule?.time || "00:00"}:00+00:00`,
+        runtime: show.runtime,
+        show,
+      }));
+  }
+
+  // Every fixture show on a web channel releases an episode each day
+  getWebSchedule(date) {
+    const airdate = date || new Date().toISOString().slice(0, 10);
+    const day = Number(airdate.slice(8, 10));
+
+    return this.fixtures.shows
+      .filter((show) => show.webChannel)
+      .map((show) => ({
+        id: show.id * 1000 + day,
+        name: `Chapter ${day}`,
+        season: 1,
+        number: day,
+        type: "regular",
+        airdate,
+        airtime: "",
+        airstamp: `${airdate}T12:00:00+00:00`,
+        runtime: show.runtime,
+        _embedded: { show },
+      }));
+  }
+
+  getUpdates() {
+    const updates = {};
+    this.fixtures.shows.forEach((show) => {
+      updates[show.id] = show.updated;
+    });
+    return updates;
+  }
+
+  getLastPage() {
+    return Math.max(
+      ...this.fixtures.shows.map((show) => Math.floor(show.id / this.pageSize))
+    );
+  }
+
+  getEmbed(showId, name) {
+    const source = SHOW_EMBEDS.includes(name) ? this.fixtures[name] : null;
+    if (!source) return null;
+    return source[showId] || [];
+  }
+
+  withEmbeds(show, embeds) {
+    if (embeds.length === 0) return show;
+
+    const _embedded = {};
+    embeds.forEach((name) => {
+      const embedded = this.getEmbed(show.id, name);
+      if (embedded) _embedded[name] = embedded;
+    });
+
+    return { ...show, _embedded };
+  }
+
+  toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+
+  ok(data) {
+    return { status: 200, data, headers: {} };
+  }
+
+  notFound() {
+    return {
+      status: 404,
+      data: { name: "Not Found", message: "Page not found.", status: 404 },
+      headers: {},
+    };
+  }
+
+  // ===================================================================
+  // FAILURE SIMULATION
+  // ===================================================================
+
+  // The simulated failure for this request, or null to answer normally
+  pickFailure() {
+    if (!this.failure || Math.random() >= this.failureRate) return null;
+    return this.failure;
+  }
+
+  failureResponse(failure) {
+    const status = Number(failure);
+    return {
+      status,
+      data: { name: "Simulated error", status },
+      headers: status === 429 ? { "retry-after": "2" } : {},
+    };
+  }
+
+  // ===================================================================
+  // AXIOS ADAPTER (browser)
+  // ===================================================================
+
+  createAxiosAdapter() {
+    return async (config) => {
+      const failure = this.pickFailure();
+
+      if (failure === "timeout") {
+        await this.wait(config.timeout, config.signal, config);
+        throw new axios.AxiosError(
+          `timeout of ${config.timeout}ms exceeded`,
+          "ECONNABORTED",
+          config,
+          {}
+        );
+      }
+
+      await this.wait(this.latency, config.signal, config);
+
+      if (failure === "network") {
+        throw new axios.AxiosError("Network Error", "ERR_NETWORK", config, {});
+      }
+
+      const result = failure
+        ? this.failureResponse(failure)
+        : this.route(config.url, config.params);
+      const response = {
+        data: result.data,
+        status: result.status,
+        statusText: String(result.status),
+        headers: result.headers,
+        config,
+        request: {},
+      };
+
+      if (result.status >= 400) {
+        throw new axios.AxiosError(
+          `Request failed with status code ${result.status}`,
+          "ERR_BAD_RESPONSE",
+          config,
+          {},
+          response
+        );
+      }
+
+      return response;
+    };
+  }
+
+  wait(ms, signal, config) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new axios.CanceledError(null, config));
+        return;
+      }
+
+      const timer = setTimeout(resolve, ms);
+      signal?.addEventListener(
+        "abort",
+        () => {
+          clearTimeout(timer);
+          reject(new axios.CanceledError(null, config));
+        },
+        { once: true }
+      );
+    });
+  }
+}
+
+// Export for browser and Node (mock-server.js)
+if (typeof window !== "undefined") {
+  window.MockTVMazeApi = MockTVMazeApi;
+}
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = MockTVMazeApi;
+}
@@ -0,0 +1,75 @@
+/**
+ * Local Mock TVMaze Server for TV Show Search App
+ * Serves the fixture-backed mock API over HTTP for development and testing.
+ *
+ * Usage: npm run mock-server
+ * Then set RUNTIME_CONFIG.API_BASE_URL to "http://localhost:3001".
+ *
+ * Environment variables:
+ *   MOCK_PORT          Port to listen on (default 3001)
+ *   MOCK_LATENCY       Delay before each response in ms (default 200)
+ *   MOCK_FAILURE       Simulated failure: 429, 500, 503, timeout or network
+ *   MOCK_FAILURE_RATE  Probability (0-1) a request fails (default 1)
+ */
+
+const http = require("http");
+const MockTVMazeApi = require("./mock-api.js");
+const fixtures = require("./fixtures/tvmaze.js");
+
+const PORT = Number(process.env.MOCK_PORT) || 3001;
+
+const mockApi = new MockTVMazeApi(fixtures, {
+  latency: Number(process.env.MOCK_LATENCY ?? 200),
+  failure: process.env.MOCK_FAILURE || null,
+  failureRate: Number(process.env.MOCK_FAILURE_RATE ?? 1),
+});
+
+// Collect query params, keeping repeated keys such as embed[]=cast
+function parseParams(searchParams) {
+  const params = {};
+
+  for (const key of new Set(searchParams.keys())) {
+    const values = searchParams.getAll(key);
+    params[key.replace(/\[\]$/, "")] = values.length > 1 ? values : values[0];
+  }
+
+  return params;
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const failure = mockApi.pickFailure();
+
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Expose-Headers", "Retry-After");
+
+  // Never answer, so the client's timeout fires
+  if (failure === "timeout") return;
+
+  // Drop the connection to look like a network failure
+  if (failure === "network") {
+    req.socket.destroy();
+    return;
+  }
+
+  setTimeout(() => {
+    const result = failure
+      ? mockApi.failureResponse(failure)
+      : mockApi.route(url.pathname, parseParams(url.searchParams));
+
+    res.writeHead(result.status, {
+      "Content-Type": "application/json",
+      ...result.headers,
+    });
+    res.end(JSON.stringify(result.data));
+  }, mockApi.latency);
+});
+
+server.listen(PORT, () => {
+  console.log(`🧪 Mock TVMaze API listening on http://localhost:${PORT}`);
+  if (mockApi.failure) {
+    console.log(
+      `   Simulating "${mockApi.failure}" for ${mockApi.failureRate * 100}% of requests`
+    );
+  }
+});
@@ -0,0 +1,225 @@
+/**
+ * Search Query Parser for TV Show Search App
+ * Splits queries like `office genre:comedy year:2005..2013 rating:>8` into
+ * free text for the API and field qualifiers applied as result filters
+ */
+
+class SearchQueryParser {
+  constructor() {
+    // Qualifier names (and their aliases) -> canonical field
+    this.fields = {
+      genre: "genre",
+      genres: "genre",
+      network: "network",
+      channel: "network",
+      year: "year",
+      rating: "rating",
+      status: "status",
+      lang: "language",
+      language: "language",
+      sort: "sort",
+    };
+
+    // Accepted status: values -> TVMaze status
+    this.statuses = {
+      running: "Running",
+      airing: "Running",
+      ended: "Ended",
+      tbd: "To Be Determined",
+      "to be determined": "To Be Determined",
+      development: "In Development",
+      "in development": "In Development",
+    };
+
+    // Same keys as ResultSorter and the sort dropdown
+    this.sorts = [
+      "relevance",
+      "rating",
+      "name",
+      "year",
+      "ended",
+      "aired",
+      "runtime",
+      "weight",
+      "episodes",
+    ];
+  }
+
+  // Parse a query into { text, filters, errors }:
+  //   text     free text for the API
+  //   filters  { genre: [..], network, year, rating, status, language, sort }
+  //            where year and rating are { min, max, minExclusive, maxExclusive }
+  //   errors   [{ token, message }] for qualifiers that couldn't be read
+  parse(input) {
+    const words = [];
+    const filters = {};
+    const errors = [];
+
+    this.tokenize(input).forEach((token) => {
+      if (!token.field) {
+        words.push(token.raw);
+        return;
+      }
+
+      try {
+        this.applyQualifier(filters, token);
+      } catch (error) {
+        errors.push({ token: token.raw, message: error.message });
+      }
+    });
+
+    return { text: words.join(" ").trim(), filters, errors };
+  }
+
+  // Split on whitespace, keeping quoted phrases and quoted qualifier values
+  // together. Only known fields are qualifiers, so titles like "Re:Zero" or
+  // "CSI:Miami" and pasted links stay free text.
+  tokenize(input) {
+    const pattern = /([a-z]+):(?:"([^"]*)"?|(\S*))|"[^"]*"?|\S+/gi;
+    const tokens = [];
+    let match;
+
+    while ((match = pattern.exec(input)) !== null) {
+      const [raw, name, quoted, bare] = match;
+      const value = quoted ?? bare ?? "";
+      const field = name && this.fields[name.toLowerCase()];
+
+      if (field) {
+        tokens.push({ raw, field, value: value.trim() });
+      } else {
+        tokens.push({ raw, field: null });
+      }
+    }
+
+    return tokens;
+  }
+
+  applyQualifier(filters, { field, value }) {
+    if (!value) {
+      throw new Error(`${field}: needs a value, e.g. ${this.getExample(field)}`);
+    }
+
+    switch (field) {
+      case "genre":
+        filters.genre = [...(filters.genre || []), value];
+        break;
+      case "year":
+        filters.year = this.parseRange(value, field, { min: 1900, max: 2100 });
+        break;
+      case "rating":
+        filters.rating = this.parseRange(value, field, { min: 0, max: 10 });
+        break;
+      case "status": {
+        const status = this.statuses[value.toLowerCase()];
+        if (!status) {
+          throw new Error(
+            `Unknown status "${value}". Try running, ended, tbd or development.`
+          );
+        }
+        filters.status = status;
+        break;
+      }
+      case "sort":
+        if (!this.sorts.includes(value.toLowerCase())) {
+          throw new Error(
+            `Can't sort by "${value}". Try ${this.sorts.join(", ")}.`
+          );
+        }
+        filters.sort = value.toLowerCase();
+        break;
+      default:
+        filters[field] = value;
+    }
+  }
+
+  // "2015", "2015..2020", "2015..", "..2020", ">8", ">=8", "<5", "<=5"
+  parseRange(value, field, bounds) {
+    const toNumber = (text) => {
+      const number = Number(text);
+      if (text === "" || Number.isNaN(number)) {
+        throw new Error(
+          `${field}: "${value}" isn't a number or range, e.g. ${this.getExample(field)}`
+        );
+      }
+      if (number < bounds.min || number > bounds.max) {
+        throw new Error(
+          `${field}: ${number} is outside ${bounds.min} to ${bounds.max}`
+        );
+      }
+      return number;
+    };
+
+    const comparison = value.match(/^(>=|<=|>|<)(.*)$/);
+    if (comparison) {
+      const [, operator, number] = comparison;
+      const limit = toNumber(number);
+      return operator.startsWith(">")
+        ? { min: limit, max: null, minExclusive: operator === ">", maxExclusive: false }
+        : { min: null, max: limit, minExclusive: false, maxExclusive: operator === "<" };
+    }
+
+    if (value.includes("..")) {
+      const [from, to] = value.split("..");
+      const min = from === "" ? null : toNumber(from);
+      const max = to === "" ? null : toNumber(to);
+
+      if (min === null && max === null) {
+        throw new Error(`${field}: a range needs at least one end, e.g. 2015..`);
+      }
+      if (min !== null && max !== null && min > max) {
+        throw new Error(`${field}: ${min}..${max} runs backwards`);
+      }
+      return { min, max, minExclusive: false, maxExclusive: false };
+    }
+
+    const exact = toNumber(value);
+    return { min: exact, max: exact, minExclusive: false, maxExclusive: false };
+  }
+
+  // A { min, max } range as a qualifier value, the reverse of parseRange():
+  // "2015", "2015..2020", "8..", ">8", "..2020"; empty when both ends are open
+  formatRange({ min, max, minExclusive, maxExclusive }) {
+    if (min === null && max === null) return "";
+    if (max === null) return minExclusive ? `>${min}` : `${min}..`;
+    if (min === null) return maxExclusive ? `<${max}` : `..${max}`;
+    return min === max ? String(min) : `${min}..${max}`;
+  }
+
+  getExample(field) {
+    return {
+      genre: "genre:drama",
+      network: 'network:HBO or network:"Prime Video"',
+      year: "year:2015..2020",
+      rating: "rating:>8",
+      status: "status:running",
+      language: "lang:english",
+      sort: "sort:rating",
+    }[field];
+  }
+
+  // ===================================================================
+  // EDITING
+  // ===================================================================
+
+  hasQualifier(input, field) {
+    return this.tokenize(input).some((token) => token.field === field);
+  }
+
+  // The query with every qualifier for the field replaced by field:value
+  // (one per value when given a list), or removed when value is empty
+  setQualifier(input, field, value) {
+    const kept = this.tokenize(input)
+      .filter((token) => token.field !== field)
+      .map((token) => token.raw);
+    const name = field === "language" ? "lang" : field;
+
+    [].concat(value || []).forEach((item) => {
+      kept.push(/\s/.test(item) ? `${name}:"${item}"` : `${name}:${item}`);
+    });
+
+    return kept.join(" ");
+  }
+}
+
+// Export for use in main app
+window.SearchQueryParser = SearchQueryParser;
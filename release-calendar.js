@@ -0,0 +1,319 @@
+/**
+ * Release Calendar for TV Show Search App
+ * Upcoming streaming releases from TVMaze /schedule/web over a date range,
+ * grouped by day and web channel
+ */
+
+class ReleaseCalendar {
+  constructor(app) {
+    this.app = app;
+    this.provider = app.providers.tvmaze;
+    this.episodes = [];
+    this.requestedChannel = "";
+    this.requestController = null;
+    this.defaultDays = window.AppConfig.get("schedule.releaseDays");
+    this.maxDays = window.AppConfig.get("schedule.maxReleaseDays");
+
+    this.initializeElements();
+    this.attachEventListeners();
+    this.createChannelLinks();
+  }
+
+  initializeElements() {
+    this.elements = {
+      view: document.getElementById("release-calendar"),
+      openButton: document.getElementById("open-releases"),
+      closeButton: document.getElementById("close-releases"),
+      from: document.getElementById("release-from"),
+      to: document.getElementById("release-to"),
+      channel: document.getElementById("release-channel"),
+      summary: document.getElementById("release-summary"),
+      list: document.getElementById("release-list"),
+      channelLinks: document.getElementById("release-links"),
+    };
+
+    const end = new Date();
+    end.setDate(end.getDate() + this.defaultDays - 1);
+    this.elements.from.value = this.app.toDateString();
+    this.elements.to.value = this.app.toDateString(end);
+  }
+
+  attachEventListeners() {
+    this.elements.openButton.addEventListener("click", () => this.open());
+    this.elements.closeButton.addEventListener("click", () => this.close());
+
+    this.elements.from.addEventListener("change", () => this.load());
+    this.elements.to.addEventListener("change", () => this.load());
+    this.elements.channel.addEventListener("change", () => this.render());
+
+    // Releases open their show's detail view
+    this.elements.list.addEventListener("click", (e) => {
+      const button = e.target.closest(".schedule-episode");
+      if (!button) return;
+
+      const episode = this.episodes[Number(button.dataset.index)];
+      if (episode) {
+        this.app.openShowDetail(episode.show);
+      }
+    });
+  }
+
+  // One calendar link per streaming button in the category grid
+  createChannelLinks() {
+    document.querySelectorAll(".category-item.streaming").forEach((item) => {
+      const channel = item.dataset.channel;
+      const link = document.createElement("button");
+
+      link.type = "button";
+      link.className = "lineup-link streaming";
+      link.textContent = item.querySelector(".label")?.textContent || channel;
+      link.setAttribute("aria-label", `Upcoming ${channel} releases`);
+      link.addEventListener("click", () => this.open({ channel }));
+
+      this.elements.channelLinks.insertBefore(link, this.elements.openButton);
+    });
+  }
+
+  // Show releases for the chosen range, optionally for one service
+  async open({ channel = "" } = {}) {
+    this.requestedChannel = channel;
+    this.elements.channel.value = "";
+
+    this.app.hideScheduleViews();
+    this.app.hideSearchInterface();
+    this.app.clearResults();
+    this.elements.view.classList.remove("hidden");
+    this.elements.view.scrollIntoView({ behavior: "smooth", block: "start" });
+
+    await this.load();
+  }
+
+  // Back to the search interface
+  close() {
+    this.hide();
+    this.app.showSearchInterface();
+  }
+
+  // Hide without restoring the search interface, e.g. when a search starts
+  hide() {
+    if (this.requestController) {
+      this.requestController.abort();
+      this.requestController = null;
+    }
+    this.elements.view.classList.add("hidden");
+  }
+
+  async load() {
+    if (this.requestController) {
+      this.requestController.abort();
+    }
+    const controller = new AbortController();
+    this.requestController = controller;
+
+    const dates = this.getDateRange();
+
+    this.elements.summary.textContent = "";
+    this.elements.list.innerHTML =
+      '<p class="schedule-empty">Loading releases...</p>';
+
+    try {
+      // One request per day; the scheduler keeps them within rate limits
+      const days = await Promise.all(
+        dates.map((date) =>
+          this.provider.getWebSchedule(date, { signal: controller.signal })
+        )
+      );
+      if (this.requestController !== controller) return;
+
+      // Grouping needs a date; fall back to the day that was requested
+      this.episodes = days.flatMap((episodes, i) =>
+        episodes.map((episode) =>
+          episode.airdate ? episode : { ...episode, airdate: dates[i] }
+        )
+      );
+      this.populateChannels();
+      this.render();
+    } catch (error) {
+      if (this.requestController !== controller) return;
+      const { type } = this.app.api.normalizeError(error);
+      if (type === ApiError.TYPES.ABORTED) return;
+
+      console.error("Release calendar error:", error);
+      this.episodes = [];
+      this.elements.list.innerHTML = `<p class="schedule-empty">${
+        navigator.onLine
+          ? "Couldn't load upcoming releases. Please try again later."
+          : "You're offline. The release calendar needs a connection."
+      }</p>`;
+    }
+  }
+
+  // Dates from "from" to "to" inclusive, capped at maxDays. Fixes up a
+  // reversed or oversized range in the pickers so they show what loads.
+  getDateRange() {
+    let from = this.elements.from.value || this.app.toDateString();
+    let to = this.elements.to.value || from;
+
+    if (to < from) {
+      [from, to] = [to, from];
+    }
+
+    const dates = [];
+    const cursor = new Date(`${from}T00:00`);
+
+    while (dates.length < this.maxDays) {
+      const date = this.app.toDateString(cursor);
+      if (date > to) break;
+      dates.push(date);
+      cursor.setDate(cursor.getDate() + 1);
+    }
+
+    this.elements.from.value = dates[0];
+    this.elements.to.value = dates[dates.length - 1];
+    return dates;
+  }
+
+  // Service options for the range; a requested service stays selectable
+  // even when it has nothing coming up
+  populateChannels() {
+    const channels = new Set(
+      this.episodes.map((episode) => episode.show.network).filter(Boolean)
+    );
+    const requested = this.requestedChannel;
+    const match = [...channels].find((channel) =>
+      this.app.matchesChannelName(channel, requested)
+    );
+
+    if (requested && !match) {
+      channels.add(requested);
+    }
+
+    const select = this.elements.channel;
+    const current = requested ? match || requested : select.value;
+
+    while (select.children.length > 1) {
+      select.removeChild(select.lastChild);
+    }
+
+    Array.from(channels)
+      .sort()
+      .forEach((channel) => {
+        const option = document.createElement("option");
+        option.value = channel;
+        option.textContent = channel;
+        select.appendChild(option);
+      });
+
+    select.value = channels.has(current) ? current : "";
+    this.requestedChannel = "";
+  }
+
+  render() {
+    const channel = this.elements.channel.value;
+    const entries = this.episodes
+      .map((episode, index) => ({ episode, index }))
+      .filter(
+        ({ episode }) =>
+          !channel || this.app.matchesChannelName(episode.show.network, channel)
+      );
+
+    const from = this.app.formatDay(this.elements.from.value);
+    const to = this.app.formatDay(this.elements.to.value);
+    this.elements.summary.textContent = `${entries.length} episode${
+      entries.length === 1 ? "" : "s"
+    } ${channel ? `on ${channel} ` : ""}· ${from === to ? from : `${from} – ${to}`}`;
+
+    if (entries.length === 0) {
+      this.elements.list.innerHTML = `<p class="schedule-empty">No releases${
+        channel ? ` on ${this.app.escapeHtml(channel)}` : ""
+      } in this date range.</p>`;
+      return;
+    }
+
+    this.elements.list.innerHTML = Array.from(this.groupByDay(entries))
+      .map(([date, channels]) => this.renderDay(date, channels))
+      .join("");
+  }
+
+  // Map of airdate -> Map of channel -> Map of show ID -> entries.
+  // Whole-season drops collapse into one row per show.
+  groupByDay(entries) {
+    const sorted = [...entries].sort(
+      (a, b) =>
+        a.episode.airdate.localeCompare(b.episode.airdate) ||
+        a.episode.show.name.localeCompare(b.episode.show.name)
+    );
+    const days = new Map();
+
+    sorted.forEach((entry) => {
+      const { airdate, show } = entry.episode;
+      const channel = show.network || "Other";
+
+      if (!days.has(airdate)) days.set(airdate, new Map());
+      const channels = days.get(airdate);
+      if (!channels.has(channel)) channels.set(channel, new Map());
+      const shows = channels.get(channel);
+      if (!shows.has(show.id)) shows.set(show.id, []);
+      shows.get(show.id).push(entry);
+    });
+
+    return days;
+  }
+
+  renderDay(date, channels) {
+    const escape = (text) => this.app.escapeHtml(text);
+
+    return `
+      <div class="release-day">
+        <h3 class="release-date">${escape(this.app.formatDay(date))}</h3>
+        ${Array.from(channels)
+          .sort(([a], [b]) => a.localeCompare(b))
+          .map(
+            ([channel, shows]) => `
+          <div class="slot-network">
+            <span class="slot-network-name">${escape(channel)}</span>
+            <ul>
+              ${Array.from(shows.values())
+                .map((showEntries) => this.renderRelease(showEntries))
+                .join("")}
+            </ul>
+          </div>`
+          )
+          .join("")}
+      </div>
+    `;
+  }
+
+  // One row per show: the episode, or a season drop summary
+  renderRelease(entries) {
+    const escape = (text) => this.app.escapeHtml(text);
+    const [{ episode, index }] = entries;
+    let detail;
+
+    if (entries.length > 1) {
+      const seasons = new Set(entries.map((entry) => entry.episode.season));
+      detail =
+        seasons.size === 1 && episode.season !== null
+          ? `Season ${episode.season} · ${entries.length} episodes`
+          : `${entries.length} episodes`;
+    } else {
+      const code =
+        episode.season !== null && episode.number !== null
+          ? `S${episode.season}E${episode.number}`
+          : "";
+      detail = [code, escape(episode.name)].filter(Boolean).join(" · ");
+    }
+
+    return `
+      <li>
+        <button type="button" class="schedule-episode" data-index="${index}">
+          <strong>${escape(episode.show.name)}</strong>
+          <span>${detail}</span>
+        </button>
+      </li>
+    `;
+  }
+}
+
+// Export for use in main app
+window.ReleaseCalendar = ReleaseCalendar;
@@ -0,0 +1,206 @@
+/**
+ * Request Scheduler for TV Show Search App
+ * Queues API calls inside TVMaze's rate window and replays 429 responses
+ */
+
+class RequestScheduler {
+  constructor(config = window.AppConfig) {
+    // TVMaze allows at least 20 calls every 10 seconds per IP
+    this.maxRequests = config.get("api.rateLimit.maxRequests");
+    this.windowMs = config.get("api.rateLimit.windowMs");
+    this.minInterval = config.get("api.rateLimit.minInterval");
+    this.maxReplays = config.get("api.rateLimit.maxReplays");
+    this.defaultRetryAfter = config.get("api.rateLimit.defaultRetryAfter");
+    // Background work leaves the rest of each window to user requests
+    this.backgroundRequests = config.get("api.rateLimit.backgroundRequests");
+
+    this.queue = [];
+    this.sentAt = [];
+    this.pausedUntil = 0;
+    this.timer = null;
+    this.listeners = new Set();
+    this.lastState = null;
+  }
+
+  // Queue a request function; resolves or rejects with its result.
+  // Background jobs wait behind every other queued job.
+  schedule(task, signal, { background = false } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(this.createAbortError());
+        return;
+      }
+
+      const job = { task, resolve, reject, replays: 0, background };
+      this.enqueue(job);
+
+      signal?.addEventListener(
+        "abort",
+        () => {
+          const index = this.queue.indexOf(job);
+          if (index !== -1) {
+            this.queue.splice(index, 1);
+            reject(this.createAbortError());
+            this.notify();
+          }
+        },
+        { once: true }
+      );
+
+      // Don't leave a user request waiting on a background job's timer
+      if (!background) {
+        clearTimeout(this.timer);
+        this.timer = null;
+      }
+      this.process();
+    });
+  }
+
+  // Add a job behind the others of its kind, or in front of them (front);
+  // other jobs always go ahead of background ones
+  enqueue(job, front = false) {
+    const firstBackground = this.queue.findIndex(
+      (queued) => queued.background
+    );
+    let index;
+    if (job.background) {
+      index = front ? firstBackground : -1;
+    } else {
+      index = front ? 0 : firstBackground;
+    }
+
+    if (index === -1) {
+      this.queue.push(job);
+    } else {
+      this.queue.splice(index, 0, job);
+    }
+  }
+
+  // Dispatch as many queued jobs as the rate window allows
+  process() {
+    if (this.timer) return;
+
+    while (this.queue.length > 0) {
+      const delay = this.getDelay(this.queue[0].background);
+
+      if (delay > 0) {
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.process();
+        }, delay);
+        break;
+      }
+
+      const job = this.queue.shift();
+      this.sentAt.push(Date.now());
+      this.run(job);
+    }
+
+    this.notify();
+  }
+
+  async run(job) {
+    try {
+      job.resolve(await job.task());
+    } catch (error) {
+      if (error.response?.status === 429 && job.replays < this.maxReplays) {
+        // Put the request back at the front and wait out the limit
+        job.replays++;
+        this.enqueue(job, true);
+        this.pause(this.parseRetryAfter(error.response.headers));
+        return;
+      }
+
+      job.reject(error);
+    }
+  }
+
+  // Milliseconds until the next request may be sent; background requests
+  // only get backgroundRequests of each window
+  getDelay(background = false) {
+    const now = Date.now();
+
+    if (this.pausedUntil > now) {
+      return this.pausedUntil - now;
+    }
+
+    this.sentAt = this.sentAt.filter((time) => now - time < this.windowMs);
+
+    const lastSent = this.sentAt[this.sentAt.length - 1] || 0;
+    const intervalDelay = lastSent + this.minInterval - now;
+
+    if (this.sentAt.length >= this.maxRequests) {
+      return Math.max(this.sentAt[0] + this.windowMs - now, intervalDelay);
+    }
+
+    if (background && this.sentAt.length >= this.backgroundRequests) {
+      const freeAt = this.sentAt[this.sentAt.length - this.backgroundRequests];
+      return Math.max(freeAt + this.windowMs - now, intervalDelay);
+    }
+
+    return Math.max(intervalDelay, 0);
+  }
+
+  // Hold every queued request until the given delay has passed
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.process();
+  }
+
+  // Retry-After may be delta-seconds or an HTTP date
+  parseRetryAfter(headers) {
+    const value = headers?.["retry-after"];
+    if (!value) return this.defaultRetryAfter;
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(seconds * 1000, 0);
+    }
+
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) {
+      return Math.max(date - Date.now(), 0);
+    }
+
+    return this.defaultRetryAfter;
+  }
+
+  // Current queue state for the UI
+  getState() {
+    const now = Date.now();
+    const rateLimited = this.queue.length > 0 && this.pausedUntil > now;
+
+    return {
+      rateLimited,
+      resumeAt: rateLimited ? this.pausedUntil : null,
+      queued: this.queue.length,
+    };
+  }
+
+  // Subscribe to state changes; returns an unsubscribe function
+  onStateChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    const state = this.getState();
+    const key = `${state.rateLimited}:${state.resumeAt}:${state.queued}`;
+    if (key === this.lastState) return;
+
+    this.lastState = key;
+    this.listeners.forEach((listener) => listener(state));
+  }
+
+  createAbortError() {
+    const error = new Error("Request cancelled");
+    error.name = "AbortError";
+    return error;
+  }
+}
+
+// Export for use in main app
+window.RequestScheduler = RequestScheduler;
@@ -0,0 +1,219 @@
+/**
+ * Response Cache for TV Show Search App
+ * IndexedDB-backed cache of API responses with per-endpoint TTLs
+ */
+
+class ResponseCache {
+  constructor(config = window.AppConfig) {
+    this.enabled = config.get("cache.enabled");
+    this.defaultTtl = config.get("cache.defaultTtl");
+    this.ttls = config.get("cache.ttl") || {};
+    this.maxStale = config.get("cache.maxStale");
+    this.maxEntries = config.get("cache.maxEntries");
+    this.maxStoredEntries = config.get("cache.maxStoredEntries");
+    this.pruneInterval = config.get("cache.pruneInterval");
+    this.lastPrunedAt = 0;
+    // Part of every key, so each API host keeps its own responses
+    this.baseUrl = config.get("api.baseUrl");
+    // Mock API data is kept apart from live responses
+    this.dbName =
+      config.get("api.mode") === "mock" ? "tvshow_cache_mock" : "tvshow_cache";
+    this.storeName = "responses";
+
+    // Memory layer keeps lookups synchronous-fast and covers browsers
+    // where IndexedDB is unavailable (e.g. some private modes). Least
+    // recently used first.
+    this.memory = new Map();
+    this.dbPromise = this.enabled ? this.openDatabase() : Promise.resolve(null);
+  }
+
+  openDatabase() {
+    if (typeof indexedDB === "undefined") {
+      return Promise.resolve(null);
+    }
+
+    return new Promise((resolve) => {
+      const request = indexedDB.open(this.dbName, 2);
+
+      request.onupgradeneeded = (event) => {
+        const store =
+          event.oldVersion < 1
+            ? request.result.createObjectStore(this.storeName, {
+                keyPath: "key",
+              })
+            : request.transaction.objectStore(this.storeName);
+        // Oldest first, for pruning
+        store.createIndex("storedAt", "storedAt");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn("Response cache: IndexedDB unavailable, using memory");
+        resolve(null);
+      };
+    });
+  }
+
+  // Build a stable key from the API base URL, endpoint path and query params
+  buildKey(path, params = {}) {
+    const query = Object.keys(params)
+      .sort()
+      .map((key) => `${key}=${String(params[key]).toLowerCase()}`)
+      .join("&");
+    const url = `${this.baseUrl}${path}`;
+    return query ? `${url}?${query}` : url;
+  }
+
+  // TTL for an endpoint, falling back to the default. Numeric IDs match
+  // ":id" keys, e.g. /shows/82/akas -> /shows/:id/akas.
+  getTtl(path) {
+    const template = path.replace(/\/\d+(?=\/|$)/g, "/:id");
+    if (path in this.ttls) return this.ttls[path];
+    return template in this.ttls ? this.ttls[template] : this.defaultTtl;
+  }
+
+  isFresh(entry) {
+    return Date.now() < entry.expiresAt;
+  }
+
+  // Get a cached entry, or null if missing or too old to serve
+  async get(key) {
+    if (!this.enabled) return null;
+    this.prune();
+
+    const entry =
+      this.memory.get(key) ||
+      (await this.runTransaction("readonly", (store) => store.get(key)));
+    if (!entry) return null;
+
+    if (this.isTooOld(entry)) {
+      this.delete(key);
+      return null;
+    }
+
+    this.remember(entry);
+    return entry;
+  }
+
+  // Older than cache.maxStale. Anything is better than nothing while
+  // offline, so nothing is too old then.
+  isTooOld(entry, now = Date.now()) {
+    return navigator.onLine && now - entry.storedAt > this.maxStale;
+  }
+
+  // Keep an entry in memory as the most recently used, dropping the least
+  // recently used beyond cache.maxEntries
+  remember(entry) {
+    this.memory.delete(entry.key);
+    this.memory.set(entry.key, entry);
+
+    while (this.memory.size > this.maxEntries) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+  }
+
+  // Drop entries that are too old from memory, and every
+  // cache.pruneInterval from IndexedDB as well
+  prune() {
+    const now = Date.now();
+    this.memory.forEach((entry, key) => {
+      if (this.isTooOld(entry, now)) this.memory.delete(key);
+    });
+
+    if (!navigator.onLine || now - this.lastPrunedAt < this.pruneInterval) {
+      return;
+    }
+    this.lastPrunedAt = now;
+    this.pruneStore(now);
+  }
+
+  // Delete stored entries that are too old, and the oldest ones beyond
+  // cache.maxStoredEntries, walking the storedAt index oldest first
+  async pruneStore(now) {
+    const db = await this.dbPromise;
+    if (!db) return;
+
+    try {
+      const store = db
+        .transaction(this.storeName, "readwrite")
+        .objectStore(this.storeName);
+      const countRequest = store.count();
+
+      countRequest.onsuccess = () => {
+        let excess = countRequest.result - this.maxStoredEntries;
+        const cursorRequest = store.index("storedAt").openKeyCursor();
+
+        cursorRequest.onsuccess = () => {
+          const cursor = cursorRequest.result;
+          // Everything after a fresh entry is newer still
+          if (!cursor || (excess <= 0 && now - cursor.key <= this.maxStale)) {
+            return;
+          }
+
+          store.delete(cursor.primaryKey);
+          excess--;
+          cursor.continue();
+        };
+      };
+    } catch (error) {
+      console.warn("Response cache prune failed:", error);
+    }
+  }
+
+  // Every stored entry for an endpoint, whatever its age, e.g. all cached
+  // /search/shows responses
+  async getEntries(path) {
+    if (!this.enabled) return [];
+
+    const stored =
+      (await this.runTransaction("readonly", (store) => store.getAll())) || [];
+    const entries = new Map(stored.map((entry) => [entry.key, entry]));
+    this.memory.forEach((entry, key) => entries.set(key, entry));
+
+    const url = this.buildKey(path);
+    return Array.from(entries.values()).filter(
+      ({ key }) => key === url || key.startsWith(`${url}?`)
+    );
+  }
+
+  async set(key, data, ttl) {
+    if (!this.enabled) return;
+
+    const now = Date.now();
+    const entry = { key, data, storedAt: now, expiresAt: now + ttl };
+
+    this.remember(entry);
+    await this.runTransaction("readwrite", (store) => store.put(entry));
+    this.prune();
+  }
+
+  async delete(key) {
+    this.memory.delete(key);
+    await this.runTransaction("readwrite", (store) => store.delete(key));
+  }
+
+  async clear() {
+    this.memory.clear();
+    await this.runTransaction("readwrite", (store) => store.clear());
+  }
+
+  // Run a single-request transaction; resolves null when IndexedDB is missing
+  async runTransaction(mode, operation) {
+    const db = await this.dbPromise;
+    if (!db) return null;
+
+    return new Promise((resolve) => {
+      try {
+        const transaction = db.transaction(this.storeName, mode);
+        const request = operation(transaction.objectStore(this.storeName));
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => resolve(null);
+      } catch (error) {
+        console.warn("Response cache transaction failed:", error);
+        resolve(null);
+      }
+    });
+  }
+}
+
+// Export for use in main app
+window.ResponseCache = ResponseCache;
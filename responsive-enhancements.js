@@ -11,6 +11,7 @@ class ResponsiveEnhancements {
     this.deviceInfo = this.getDeviceInfo();
     this.resizeObserver = null;
     this.orientationChangeTimeout = null;
+    this.virtualList = null; // Windowed rendering state for long results
 
     this.init();
   }
@@ -97,16 +98,14 @@ class ResponsiveEnhancements {
       resizeTimeout = setTimeout(() => {
         this.updateViewportInfo();
         this.handleResponsiveChanges();
+
+        // Track resize events for analytics
+        this.app.analytics.trackViewportChange?.(this.viewport);
       }, 100);
     };
 
     window.addEventListener("resize", handleResize);
 
-    // Track resize events for analytics
-    this.app.addEventListenerSafe(window, "resize", () => {
-      this.app.analytics.trackViewportChange?.(this.viewport);
-    });
-
     // Setup Resize Observer for container-based responsive design
     if ("ResizeObserver" in window) {
       this.resizeObserver = new ResizeObserver((entries) => {
@@ -136,9 +135,9 @@ class ResponsiveEnhancements {
   handleResponsiveChanges() {
     this.adjustLayoutForViewport();
     this.updateTouchTargets();
-    this.optimizeForCurrentViewport();
     this.updateGridColumns();
     this.adjustModalSizes();
+    this.refreshVirtualLayout();
   }
 
   handleBreakpointChange(oldBreakpoint, newBreakpoint) {
@@ -560,48 +559,344 @@ class ResponsiveEnhancements {
     this.setupPerformanceMonitoring();
   }
 
+  // Windowed rendering for long result lists: only the rows near the
+  // viewport are in the DOM, with padding standing in for the rest. Rows
+  // are measured as they render, so cards of different heights don't drift.
   setupVirtualScrolling() {
-    // Simple virtual scrolling implementation for results
     const resultsContainer = document.getElementById("results");
     if (!resultsContainer) return;
 
-    const itemHeight = 400; // Approximate height of show card
-    const bufferSize = 5; // Number of items to render outside viewport
+    this.virtualList = {
+      container: resultsContainer,
+      active: false,
+      items: [], // [{ score, show }] being windowed
+      offset: 0, // Position of items[0] in the app's filtered results
+      columns: 1,
+      gap: 0,
+      rowHeights: [], // Measured heights; unmeasured rows use the estimate
+      estimatedRowHeight: 400, // Approximate height of show card
+      bufferRows: 2, // Rows rendered above and below the viewport
+      nodes: new Map(), // Item index -> rendered card
+      pool: [], // Cards scrolled out, reused for the next ones in
+      focusedShowId: null, // Keyboard focus survives its card scrolling out
+    };
 
-    const updateVisibleItems = () => {
-      const scrollTop = window.scrollY;
-      const viewportHeight = window.innerHeight;
-      const containerTop = resultsContainer.offsetTop;
+    // Throttled scroll handler
+    let frame = null;
+    const handleScroll = () => {
+      if (!this.virtualList.active || frame) return;
+      frame = requestAnimationFrame(() => {
+        frame = null;
+        this.renderVisibleItems();
+      });
+    };
 
-      const startIndex = Math.max(
-        0,
-        Math.floor((scrollTop - containerTop) / itemHeight) - bufferSize
-      );
-      const endIndex = Math.min(
-        this.app.filteredResults.length,
-        Math.ceil((scrollTop + viewportHeight - containerTop) / itemHeight) +
-          bufferSize
+    window.addEventListener("scroll", handleScroll, { passive: true });
+
+    document.addEventListener("focusin", (e) => {
+      const list = this.virtualList;
+      if (!list.active || e.target === list.container) return;
+      const card = list.container.contains(e.target)
+        ? e.target.closest(".show-card")
+        : null;
+      list.focusedShowId = card ? this.getVirtualItem(card)?.show.id ?? null : null;
+    });
+  }
+
+  // True when this many cards should be windowed
+  shouldVirtualize(count) {
+    const threshold =
+      window.AppConfig?.get("app.virtualScrollThreshold") || 100;
+    return Boolean(this.virtualList) && count > threshold;
+  }
+
+  // Render items (the app's filtered results from position offset + 1)
+  // windowed. append keeps the rows measured so far, for items added to the
+  // end; anchor keeps the focused card, or else the first one on screen,
+  // where it was when it's still among the new items.
+  renderVirtualResults(items, { offset = 0, append = false, anchor = false } = {}) {
+    const list = this.virtualList;
+    const anchorCard = anchor && list.active ? this.getVirtualAnchor() : null;
+
+    if (!list.active) {
+      this.startVirtualScrolling({ measure: append });
+    } else if (!append) {
+      this.recycleVirtualNodes(() => true);
+      list.rowHeights = [];
+    }
+
+    list.items = items;
+    list.offset = offset;
+    list.columns = this.getVirtualColumns();
+
+    if (anchorCard) this.restoreVirtualAnchor(anchorCard);
+    this.renderVisibleItems();
+  }
+
+  // Switch #results over to windowed rendering. measure keeps the heights
+  // of the rows already on screen, so the switch doesn't move them.
+  startVirtualScrolling({ measure = false } = {}) {
+    const list = this.virtualList;
+    const cards = Array.from(list.container.children);
+
+    list.columns = this.getVirtualColumns();
+    list.gap = parseFloat(getComputedStyle(list.container).rowGap) || 0;
+    list.rowHeights = [];
+    if (measure) {
+      for (let row = 0; row * list.columns < cards.length; row++) {
+        const height = cards[row * list.columns].offsetHeight;
+        if (height > 0) list.rowHeights[row] = height;
+      }
+    }
+
+    list.container.innerHTML = "";
+    list.container.classList.add("virtualized");
+    list.container.setAttribute("tabindex", "-1");
+    // Cards scrolling in and out aren't news to screen readers
+    list.container.setAttribute("aria-live", "off");
+    list.active = true;
+  }
+
+  // Back to plain rendering: the caller fills #results itself
+  stopVirtualScrolling() {
+    const list = this.virtualList;
+    if (!list?.active) return;
+
+    list.active = false;
+    list.items = [];
+    list.nodes.clear();
+    list.pool = [];
+    list.focusedShowId = null;
+    list.container.style.paddingTop = "";
+    list.container.style.paddingBottom = "";
+    list.container.classList.remove("virtualized");
+    list.container.removeAttribute("tabindex");
+    list.container.setAttribute("aria-live", "polite");
+  }
+
+  // Columns or card heights changed (resize, grid/list toggle)
+  refreshVirtualLayout() {
+    const list = this.virtualList;
+    if (!list?.active) return;
+
+    const anchorCard = this.getVirtualAnchor();
+    list.columns = this.getVirtualColumns();
+    list.gap = parseFloat(getComputedStyle(list.container).rowGap) || 0;
+    list.rowHeights = [];
+    this.recycleVirtualNodes(() => true);
+
+    if (anchorCard) this.restoreVirtualAnchor(anchorCard);
+    this.renderVisibleItems();
+  }
+
+  renderVisibleItems() {
+    const list = this.virtualList;
+    if (!list.active) return;
+
+    const rowCount = Math.ceil(list.items.length / list.columns);
+    const offsets = this.getRowOffsets(rowCount);
+    const top = window.scrollY - this.getVirtualContainerTop();
+    const bottom = top + window.innerHeight;
+
+    const startRow = Math.max(
+      0,
+      this.getRowAt(offsets, top) - list.bufferRows
+    );
+    const endRow = Math.min(
+      rowCount,
+      this.getRowAt(offsets, bottom) + 1 + list.bufferRows
+    );
+
+    const start = startRow * list.columns;
+    const end = Math.min(list.items.length, endRow * list.columns);
+    this.updateVirtualNodes(start, end);
+    this.setVirtualPadding(offsets, startRow, endRow);
+
+    // Measure what just rendered; when that changes the estimate for rows
+    // above, scroll by the difference so the visible cards stay put
+    for (let row = startRow; row < endRow; row++) {
+      const height = list.nodes.get(row * list.columns)?.offsetHeight;
+      if (height > 0) list.rowHeights[row] = height;
+    }
+    const measured = list.rowHeights.filter(Boolean);
+    if (measured.length > 0) {
+      list.estimatedRowHeight =
+        measured.reduce((sum, height) => sum + height, 0) / measured.length;
+    }
+
+    const newOffsets = this.getRowOffsets(rowCount);
+    this.setVirtualPadding(newOffsets, startRow, endRow);
+    const shift = newOffsets[startRow] - offsets[startRow];
+    if (shift !== 0) window.scrollBy(0, shift);
+  }
+
+  // Cards for items start..end-1: ones scrolled out go back to the pool,
+  // new ones reuse pooled cards before new ones are built
+  updateVirtualNodes(start, end) {
+    const list = this.virtualList;
+    this.recycleVirtualNodes((index) => index < start || index >= end);
+
+    const kept = Array.from(list.nodes.keys());
+    const firstKept = kept.length > 0 ? Math.min(...kept) : end;
+    const firstNode = list.nodes.get(firstKept) || null;
+
+    for (let index = start; index < end; index++) {
+      if (list.nodes.has(index)) continue;
+
+      const node = this.createVirtualCard(index);
+      list.nodes.set(index, node);
+      if (index < firstKept) {
+        list.container.insertBefore(node, firstNode);
+      } else {
+        list.container.appendChild(node);
+      }
+    }
+
+    // Give focus back to a card that left while focused
+    if (list.focusedShowId !== null && !this.hasCardFocus()) {
+      const index = list.items.findIndex(
+        (item) => item.show.id === list.focusedShowId
       );
+      list.nodes.get(index)?.focus({ preventScroll: true });
+    }
+  }
 
-      // Only update if there are many items (performance optimization)
-      if (this.app.filteredResults.length > 50) {
-        this.renderVisibleItems(startIndex, endIndex);
+  // Detach the cards matching test. A focused one hands focus to the
+  // results container, so keyboard users stay in the list.
+  recycleVirtualNodes(test) {
+    const list = this.virtualList;
+
+    list.nodes.forEach((node, index) => {
+      if (!test(index)) return;
+      if (node.contains(document.activeElement)) {
+        list.container.focus({ preventScroll: true });
       }
-    };
+      node.remove();
+      list.nodes.delete(index);
+      list.pool.push(node);
+    });
+  }
 
-    // Throttled scroll handler
-    let scrollTimeout;
-    const handleScroll = () => {
-      clearTimeout(scrollTimeout);
-      scrollTimeout = setTimeout(updateVisibleItems, 16); // ~60fps
+  // The card for an item, reusing a pooled one when there is one
+  createVirtualCard(index) {
+    const list = this.virtualList;
+    const item = list.items[index];
+    const template = document.createElement("template");
+    template.innerHTML = this.app
+      .createShowCard(item.show, list.offset + index + 1, item)
+      .trim();
+    const card = template.content.firstElementChild;
+
+    const node = list.pool.pop();
+    if (!node) return card;
+
+    node.getAttributeNames().forEach((name) => node.removeAttribute(name));
+    card.getAttributeNames().forEach((name) =>
+      node.setAttribute(name, card.getAttribute(name))
+    );
+    node.replaceChildren(...card.childNodes);
+    return node;
+  }
+
+  hasCardFocus() {
+    const active = document.activeElement;
+    return (
+      this.virtualList.container.contains(active) &&
+      active !== this.virtualList.container
+    );
+  }
+
+  getVirtualItem(card) {
+    const list = this.virtualList;
+    return list.items[Number(card.dataset.position) - 1 - list.offset];
+  }
+
+  // The focused card, or else the first one on screen, and where it is
+  getVirtualAnchor() {
+    const list = this.virtualList;
+    const focused = this.hasCardFocus()
+      ? document.activeElement.closest(".show-card")
+      : null;
+    const card =
+      focused ||
+      Array.from(list.container.children).find(
+        (node) => node.getBoundingClientRect().bottom > 0
+      );
+    const item = card && this.getVirtualItem(card);
+    if (!item) return null;
+
+    return {
+      showId: item.show.id,
+      top: card.getBoundingClientRect().top,
+      focused: Boolean(focused),
     };
+  }
 
-    window.addEventListener("scroll", handleScroll, { passive: true });
+  // Scroll so the anchor's show sits where the anchor card was
+  restoreVirtualAnchor(anchorCard) {
+    const list = this.virtualList;
+    const index = list.items.findIndex(
+      (item) => item.show.id === anchorCard.showId
+    );
+    if (index === -1) return;
+
+    const rowCount = Math.ceil(list.items.length / list.columns);
+    const offsets = this.getRowOffsets(rowCount);
+    this.setVirtualPadding(offsets, 0, 0);
+    window.scrollTo(
+      0,
+      this.getVirtualContainerTop() +
+        offsets[Math.floor(index / list.columns)] -
+        anchorCard.top
+    );
+    if (anchorCard.focused) list.focusedShowId = anchorCard.showId;
   }
 
-  renderVisibleItems(startIndex, endIndex) {
-    // Implementation would update the DOM to show only visible items
-    console.log(`Rendering items ${startIndex} to ${endIndex}`);
+  // Top of each row (and the end of the last) from the start of the list
+  getRowOffsets(rowCount) {
+    const list = this.virtualList;
+    const offsets = [0];
+    for (let row = 0; row < rowCount; row++) {
+      offsets.push(
+        offsets[row] +
+          (list.rowHeights[row] || list.estimatedRowHeight) +
+          list.gap
+      );
+    }
+    return offsets;
+  }
+
+  // The row at y pixels down the list
+  getRowAt(offsets, y) {
+    let row = 0;
+    while (row < offsets.length - 2 && offsets[row + 1] <= y) row++;
+    return row;
+  }
+
+  // Padding stands in for the rows above startRow and from endRow down
+  setVirtualPadding(offsets, startRow, endRow) {
+    const { container } = this.virtualList;
+    const last = offsets.length - 1;
+    container.style.paddingTop = `${offsets[startRow]}px`;
+    container.style.paddingBottom = `${offsets[last] - offsets[endRow]}px`;
+  }
+
+  getVirtualContainerTop() {
+    return (
+      this.virtualList.container.getBoundingClientRect().top + window.scrollY
+    );
+  }
+
+  getVirtualColumns() {
+    const { container } = this.virtualList;
+    if (container.classList.contains("list-view")) return 1;
+
+    // Resolved track sizes, e.g. "320px 320px 320px"
+    const tracks = getComputedStyle(container).gridTemplateColumns;
+    if (tracks && /^[\d.]+px( [\d.]+px)*$/.test(tracks.trim())) {
+      return tracks.trim().split(" ").length;
+    }
+    return this.calculateOptimalColumns(container.clientWidth);
   }
 
   optimizeAnimations() {
@@ -949,6 +1244,7 @@ class ResponsiveEnhancements {
     }
 
     clearTimeout(this.orientationChangeTimeout);
+    this.stopVirtualScrolling();
 
     // Remove responsive classes
     document.documentElement.classList.remove(
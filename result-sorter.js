@@ -0,0 +1,118 @@
+/**
+ * Result Sorter for TV Show Search App
+ * Multi-key sorting of [{ score, show }] results with a reversible primary
+ * key, an optional secondary key and stable ordering on ties
+ */
+
+class ResultSorter {
+  constructor() {
+    // Sort keys: label, natural direction (1 ascending, -1 descending) and
+    // how to read the value from a result. Missing values always sort last.
+    this.keys = {
+      relevance: {
+        label: "Best Match",
+        direction: -1,
+        value: (item) => item.relevance ?? item.score ?? null,
+      },
+      rating: {
+        label: "Highest Rated",
+        direction: -1,
+        value: (item) => item.show.rating ?? null,
+      },
+      name: {
+        label: "A-Z",
+        direction: 1,
+        value: (item) => item.show.name || null,
+      },
+      year: {
+        label: "Newest",
+        direction: -1,
+        value: (item) => item.show.premiered || null,
+      },
+      ended: {
+        label: "Recently Ended",
+        direction: -1,
+        value: (item) => item.show.ended || null,
+      },
+      aired: {
+        label: "Last Aired",
+        direction: -1,
+        value: (item) => this.getLastAired(item.show),
+        needsEpisodes: true,
+      },
+      runtime: {
+        label: "Longest Episodes",
+        direction: -1,
+        value: (item) => item.show.runtime ?? null,
+      },
+      weight: {
+        label: "Most Popular",
+        direction: -1,
+        value: (item) => item.show.weight ?? null,
+      },
+      episodes: {
+        label: "Most Episodes",
+        direction: -1,
+        value: (item) => item.show.episodeCount ?? null,
+        needsEpisodes: true,
+      },
+    };
+  }
+
+  // Latest aired episode date; ended shows fall back to their end date
+  // until episode data has loaded
+  getLastAired(show) {
+    return show.lastAired || show.ended || null;
+  }
+
+  // True when a key needs episode data that isn't part of search results
+  needsEpisodes(key) {
+    return Boolean(this.keys[key]?.needsEpisodes);
+  }
+
+  // A sorted copy of items. reverse flips the primary key only; ties on
+  // both keys keep their original order.
+  sort(items, { primary = "relevance", secondary = null, reverse = false } = {}) {
+    const comparators = [
+      this.getComparator(primary, reverse),
+      secondary && secondary !== primary
+        ? this.getComparator(secondary, false)
+        : null,
+    ].filter(Boolean);
+
+    return items
+      .map((item, position) => ({ item, position }))
+      .sort((a, b) => {
+        for (const compare of comparators) {
+          const result = compare(a.item, b.item);
+          if (result !== 0) return result;
+        }
+        return a.position - b.position;
+      })
+      .map(({ item }) => item);
+  }
+
+  getComparator(key, reverse) {
+    const definition = this.keys[key];
+    if (!definition) return null;
+    const direction = reverse ? -definition.direction : definition.direction;
+
+    return (a, b) => {
+      const valueA = definition.value(a);
+      const valueB = definition.value(b);
+
+      if (valueA === null && valueB === null) return 0;
+      if (valueA === null) return 1;
+      if (valueB === null) return -1;
+
+      const result =
+        typeof valueA === "string"
+          ? valueA.localeCompare(valueB)
+          : valueA - valueB;
+      return result * direction;
+    };
+  }
+}
+
+// Export for use in main app
+window.ResultSorter = ResultSorter;
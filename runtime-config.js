@@ -4,6 +4,9 @@ window.RUNTIME_CONFIG = {
   GA_MEASUREMENT_ID: "", // Will be injected during deployment
   BUILD_TIME: new Date().toISOString(),
   ENVIRONMENT: "development",
+  API_BASE_URL: "", // Optional override for the TVMaze API host
+  API_MODE: "", // Set to "mock" to use fixtures instead of the live API
+  CATALOG_URL: "", // Optional JSON/CSV show catalog searchable as a source
 };
 
 // If we have a runtime config, merge it with the global config
@@ -15,3 +18,21 @@ if (window.AppConfig && window.RUNTIME_CONFIG.GA_MEASUREMENT_ID) {
   window.AppConfig.set("app.environment", window.RUNTIME_CONFIG.ENVIRONMENT);
   console.log("🔧 Runtime configuration loaded");
 }
+
+// Point the app at a different API host when one is configured
+if (window.AppConfig && window.RUNTIME_CONFIG.API_BASE_URL) {
+  window.AppConfig.set("api.baseUrl", window.RUNTIME_CONFIG.API_BASE_URL);
+}
+
+// Switch to the fixture-backed mock API (same as ?api=mock)
+if (window.AppConfig && window.RUNTIME_CONFIG.API_MODE) {
+  window.AppConfig.set("api.mode", window.RUNTIME_CONFIG.API_MODE);
+}
+
+// Offer a static show catalog as an extra data source
+if (window.AppConfig && window.RUNTIME_CONFIG.CATALOG_URL) {
+  window.AppConfig.set(
+    "providers.catalog.url",
+    window.RUNTIME_CONFIG.CATALOG_URL
+  );
+}
@@ -0,0 +1,279 @@
+/**
+ * Saved Searches for TV Show Search App
+ * Named presets of a query with its filters, sort and view, listed in the
+ * search interface with when they last ran and how many results they found
+ */
+
+class SavedSearches {
+  constructor(app) {
+    this.app = app;
+    this.storageKey = "tvshow_saved_searches";
+    this.searches = this.load(); // [{ name, query, count, previousCount, lastRunAt }]
+    this.renamingIndex = null;
+
+    this.initializeElements();
+    this.attachEventListeners();
+    this.render();
+  }
+
+  initializeElements() {
+    this.elements = {
+      saveButton: document.getElementById("save-search"),
+      form: document.getElementById("save-search-form"),
+      nameInput: document.getElementById("save-search-name"),
+      cancelButton: document.getElementById("save-search-cancel"),
+      list: document.getElementById("saved-search-list"),
+      empty: document.getElementById("saved-search-empty"),
+    };
+  }
+
+  attachEventListeners() {
+    this.elements.saveButton.addEventListener("click", () =>
+      this.openSaveForm()
+    );
+    this.elements.form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      this.saveCurrent(this.elements.nameInput.value);
+    });
+    this.elements.cancelButton.addEventListener("click", () =>
+      this.closeSaveForm()
+    );
+    this.elements.nameInput.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") this.closeSaveForm();
+    });
+
+    // Run, move, rename and delete from the list
+    this.elements.list.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-action]");
+      if (!button) return;
+      const index = Number(button.closest(".saved-search").dataset.index);
+
+      switch (button.dataset.action) {
+        case "run":
+          this.run(index);
+          break;
+        case "up":
+          this.move(index, -1);
+          break;
+        case "down":
+          this.move(index, 1);
+          break;
+        case "rename":
+          this.startRename(index);
+          break;
+        case "delete":
+          this.remove(index);
+          break;
+      }
+    });
+
+    // Enter or leaving the field keeps a new name; Escape the old one
+    this.elements.list.addEventListener("keydown", (e) => {
+      if (!e.target.classList.contains("saved-search-rename")) return;
+      if (e.key === "Enter") {
+        e.preventDefault();
+        this.finishRename(e.target.value);
+      } else if (e.key === "Escape") {
+        this.finishRename(null);
+      }
+    });
+    this.elements.list.addEventListener("focusout", (e) => {
+      if (e.target.classList.contains("saved-search-rename")) {
+        this.finishRename(e.target.value);
+      }
+    });
+  }
+
+  load() {
+    try {
+      const searches = JSON.parse(localStorage.getItem(this.storageKey) || "[]");
+      return Array.isArray(searches)
+        ? searches.filter((search) => search?.name && search.query)
+        : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  store() {
+    localStorage.setItem(this.storageKey, JSON.stringify(this.searches));
+  }
+
+  // Router state of the search on screen, or null when there's none
+  getCurrentState() {
+    const state = this.app.getRouteState();
+    if (!state.q && !state.channel) return null;
+    return { ...state, page: 1, show: null };
+  }
+
+  openSaveForm() {
+    const state = this.getCurrentState();
+    if (!state) {
+      this.app.showToast("Search for shows or pick a channel first", "error");
+      return;
+    }
+
+    this.elements.nameInput.value = this.describe(state);
+    this.elements.form.classList.remove("hidden");
+    this.elements.nameInput.focus();
+    this.elements.nameInput.select();
+  }
+
+  closeSaveForm() {
+    this.elements.form.classList.add("hidden");
+  }
+
+  // Save the search on screen; saving under an existing name replaces it
+  saveCurrent(name) {
+    const state = this.getCurrentState();
+    if (!state) return;
+
+    const search = {
+      name: name.trim() || this.describe(state),
+      query: this.app.router.stringify(state, ""),
+      count: this.app.getResultCount(),
+      previousCount: null,
+      lastRunAt: Date.now(),
+    };
+    const existing = this.searches.findIndex(({ name }) => name === search.name);
+
+    if (existing === -1) {
+      this.searches.push(search);
+      this.app.showToast(`Saved “${search.name}”`, "success");
+    } else {
+      this.searches[existing] = search;
+      this.app.showToast(`Updated “${search.name}”`, "success");
+    }
+
+    this.store();
+    this.render();
+    this.closeSaveForm();
+  }
+
+  // Run a saved search and record what it found. Failed runs keep the
+  // last count rather than recording 0.
+  async run(index) {
+    const search = this.searches[index];
+    if (!search) return;
+
+    await this.app.navigateTo(this.app.router.parse(search.query));
+    if (!this.searches.includes(search) || this.app.hasError()) return;
+
+    search.previousCount = search.count;
+    search.count = this.app.getResultCount();
+    search.lastRunAt = Date.now();
+    this.store();
+    this.render();
+  }
+
+  move(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= this.searches.length) return;
+
+    const [search] = this.searches.splice(index, 1);
+    this.searches.splice(target, 0, search);
+    this.store();
+    this.render();
+
+    // Keep focus on the arrow, so a search can be moved several places,
+    // or on the other one once it reaches the end
+    const item = this.elements.list.querySelector(`[data-index="${target}"]`);
+    const arrows = offset < 0 ? ["up", "down"] : ["down", "up"];
+    arrows
+      .map((action) => item.querySelector(`[data-action="${action}"]`))
+      .find((button) => !button.disabled)
+      ?.focus();
+  }
+
+  startRename(index) {
+    this.renamingIndex = index;
+    this.render();
+
+    const input = this.elements.list.querySelector(".saved-search-rename");
+    input.value = this.searches[index].name;
+    input.focus();
+    input.select();
+  }
+
+  // name is null to cancel
+  finishRename(name) {
+    const index = this.renamingIndex;
+    if (index === null) return;
+    this.renamingIndex = null;
+
+    const trimmed = name?.trim();
+    if (trimmed) {
+      this.searches[index].name = trimmed;
+      this.store();
+    }
+    this.render();
+    this.elements.list
+      .querySelector(`[data-index="${index}"] [data-action="rename"]`)
+      ?.focus();
+  }
+
+  remove(index) {
+    const [search] = this.searches.splice(index, 1);
+    if (!search) return;
+
+    this.store();
+    this.render();
+    this.app.showToast(`Deleted “${search.name}”`, "info");
+  }
+
+  render() {
+    this.elements.empty.classList.toggle("hidden", this.searches.length > 0);
+    this.elements.list.innerHTML = this.searches
+      .map((search, index) => this.createItem(search, index))
+      .join("");
+  }
+
+  createItem(search, index) {
+    const name = this.app.escapeHtml(search.name);
+    const last = this.searches.length - 1;
+
+    return `
+      <li class="saved-search" data-index="${index}">
+        ${
+          index === this.renamingIndex
+            ? `<input type="text" class="saved-search-rename minimal-select"
+                      maxlength="60" aria-label="New name">`
+            : `<button type="button" class="saved-search-run" data-action="run">
+                <span class="saved-search-name">${name}</span>
+                <span class="saved-search-meta">${this.formatLastRun(
+                  search
+                )}</span>
+              </button>`
+        }
+        <div class="saved-search-actions">
+          <button type="button" data-action="up" aria-label="Move up"
+                  ${index === 0 ? "disabled" : ""}>↑</button>
+          <button type="button" data-action="down" aria-label="Move down"
+                  ${index === last ? "disabled" : ""}>↓</button>
+          <button type="button" data-action="rename" aria-label="Rename">✏️</button>
+          <button type="button" data-action="delete" aria-label="Delete">🗑️</button>
+        </div>
+      </li>
+    `;
+  }
+
+  // "12 results (+2) · 3 hours ago"; the change is since the run before
+  formatLastRun({ count, previousCount, lastRunAt }) {
+    const change = previousCount === null ? 0 : count - previousCount;
+    const changeText = change ? ` (${change > 0 ? "+" : ""}${change})` : "";
+
+    return `${count} result${count !== 1 ? "s" : ""}${changeText} · ${this.app.formatRelativeTime(
+      lastRunAt
+    )}`;
+  }
+
+  // Default name, e.g. "drama · Comedy · Running · by Highest Rated"
+  describe(state) {
+    return [state.q || state.channel, ...this.app.describeFilters(state)]
+      .join(" · ")
+      .slice(0, 60);
+  }
+}
+
+// Export for use in main app
+window.SavedSearches = SavedSearches;
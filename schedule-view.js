@@ -0,0 +1,282 @@
+/**
+ * Schedule View for TV Show Search App
+ * "What's on tonight": a day's broadcast lineup from TVMaze /schedule,
+ * grouped by time slot and network
+ */
+
+class ScheduleView {
+  constructor(app) {
+    this.app = app;
+    this.provider = app.providers.tvmaze;
+    this.episodes = [];
+    this.requestedNetwork = "";
+    this.requestController = null;
+
+    this.initializeElements();
+    this.attachEventListeners();
+    this.createLineupLinks();
+  }
+
+  initializeElements() {
+    this.elements = {
+      view: document.getElementById("schedule-view"),
+      openButton: document.getElementById("open-schedule"),
+      closeButton: document.getElementById("close-schedule"),
+      country: document.getElementById("schedule-country"),
+      date: document.getElementById("schedule-date"),
+      network: document.getElementById("schedule-network"),
+      summary: document.getElementById("schedule-summary"),
+      list: document.getElementById("schedule-list"),
+      lineupLinks: document.getElementById("lineup-links"),
+    };
+
+    this.elements.country.value =
+      localStorage.getItem("tvshow_schedule_country") ||
+      window.AppConfig.get("schedule.country");
+    this.elements.date.value = this.app.toDateString();
+  }
+
+  attachEventListeners() {
+    this.elements.openButton.addEventListener("click", () => this.open());
+    this.elements.closeButton.addEventListener("click", () => this.close());
+
+    this.elements.country.addEventListener("change", () => {
+      localStorage.setItem(
+        "tvshow_schedule_country",
+        this.elements.country.value
+      );
+      this.load();
+    });
+    this.elements.date.addEventListener("change", () => this.load());
+    this.elements.network.addEventListener("change", () => this.render());
+
+    // Episodes open their show's detail view
+    this.elements.list.addEventListener("click", (e) => {
+      const button = e.target.closest(".schedule-episode");
+      if (!button) return;
+
+      const episode = this.episodes[Number(button.dataset.index)];
+      if (episode) {
+        this.app.openShowDetail(episode.show);
+      }
+    });
+  }
+
+  // One lineup link per network button in the category grid
+  createLineupLinks() {
+    document.querySelectorAll(".category-item.network").forEach((item) => {
+      const network = item.dataset.channel;
+      const link = document.createElement("button");
+
+      link.type = "button";
+      link.className = "lineup-link";
+      link.textContent = network;
+      link.setAttribute("aria-label", `Tonight's ${network} lineup`);
+      link.addEventListener("click", () => this.open({ network }));
+
+      this.elements.lineupLinks.insertBefore(link, this.elements.openButton);
+    });
+  }
+
+  isOpen() {
+    return !this.elements.view.classList.contains("hidden");
+  }
+
+  // Show the lineup for the chosen day, optionally for one network
+  async open({ network = "" } = {}) {
+    this.requestedNetwork = network;
+    this.elements.network.value = "";
+
+    this.app.hideScheduleViews();
+    this.app.hideSearchInterface();
+    this.app.clearResults();
+    this.elements.view.classList.remove("hidden");
+    this.elements.view.scrollIntoView({ behavior: "smooth", block: "start" });
+
+    await this.load();
+  }
+
+  // Back to the search interface
+  close() {
+    this.hide();
+    this.app.showSearchInterface();
+  }
+
+  // Hide without restoring the search interface, e.g. when a search starts
+  hide() {
+    if (this.requestController) {
+      this.requestController.abort();
+      this.requestController = null;
+    }
+    this.elements.view.classList.add("hidden");
+  }
+
+  async load() {
+    if (this.requestController) {
+      this.requestController.abort();
+    }
+    const controller = new AbortController();
+    this.requestController = controller;
+
+    const country = this.elements.country.value;
+    const date = this.elements.date.value || this.app.toDateString();
+
+    this.elements.summary.textContent = "";
+    this.elements.list.innerHTML =
+      '<p class="schedule-empty">Loading schedule...</p>';
+
+    try {
+      this.episodes = await this.provider.getSchedule(country, date, {
+        signal: controller.signal,
+      });
+      if (this.requestController !== controller) return;
+
+      this.populateNetworks();
+      this.render();
+    } catch (error) {
+      if (this.requestController !== controller) return;
+      const { type } = this.app.api.normalizeError(error);
+      if (type === ApiError.TYPES.ABORTED) return;
+
+      console.error("Schedule error:", error);
+      this.episodes = [];
+      this.elements.list.innerHTML = `<p class="schedule-empty">${
+        navigator.onLine
+          ? "Couldn't load the schedule. Please try again later."
+          : "You're offline. The schedule needs a connection."
+      }</p>`;
+    }
+  }
+
+  // Network options for the day; a requested network stays selectable
+  // even when it has nothing scheduled
+  populateNetworks() {
+    const networks = new Set(
+      this.episodes.map((episode) => episode.show.network).filter(Boolean)
+    );
+    const requested = this.requestedNetwork;
+    const match = [...networks].find((network) =>
+      this.app.matchesChannelName(network, requested)
+    );
+
+    if (requested && !match) {
+      networks.add(requested);
+    }
+
+    const select = this.elements.network;
+    const current = requested ? match || requested : select.value;
+
+    while (select.children.length > 1) {
+      select.removeChild(select.lastChild);
+    }
+
+    Array.from(networks)
+      .sort()
+      .forEach((network) => {
+        const option = document.createElement("option");
+        option.value = network;
+        option.textContent = network;
+        select.appendChild(option);
+      });
+
+    select.value = networks.has(current) ? current : "";
+    this.requestedNetwork = "";
+  }
+
+  render() {
+    const network = this.elements.network.value;
+    const episodes = this.episodes
+      .map((episode, index) => ({ episode, index }))
+      .filter(
+        ({ episode }) =>
+          !network || this.app.matchesChannelName(episode.show.network, network)
+      );
+
+    const day = this.app.formatDay(
+      this.elements.date.value || this.app.toDateString()
+    );
+    this.elements.summary.textContent = `${episodes.length} episode${
+      episodes.length === 1 ? "" : "s"
+    } ${network ? `on ${network} ` : ""}· ${day}`;
+
+    if (episodes.length === 0) {
+      this.elements.list.innerHTML = `<p class="schedule-empty">Nothing scheduled${
+        network ? ` on ${this.app.escapeHtml(network)}` : ""
+      } for this date.</p>`;
+      return;
+    }
+
+    this.elements.list.innerHTML = Array.from(this.groupBySlot(episodes))
+      .map(([time, networks]) => this.renderSlot(time, networks))
+      .join("");
+  }
+
+  // Map of airtime -> Map of network -> entries, in airing order.
+  // Episodes without an airtime go last.
+  groupBySlot(entries) {
+    const sorted = [...entries].sort((a, b) => {
+      const timeA = a.episode.airtime || "99:99";
+      const timeB = b.episode.airtime || "99:99";
+      return timeA.localeCompare(timeB);
+    });
+    const slots = new Map();
+
+    sorted.forEach((entry) => {
+      const time = entry.episode.airtime;
+      const network = entry.episode.show.network || "Other";
+
+      if (!slots.has(time)) slots.set(time, new Map());
+      const networks = slots.get(time);
+      if (!networks.has(network)) networks.set(network, []);
+      networks.get(network).push(entry);
+    });
+
+    return slots;
+  }
+
+  renderSlot(time, networks) {
+    const escape = (text) => this.app.escapeHtml(text);
+
+    return `
+      <div class="schedule-slot">
+        <h3 class="slot-time">${time ? escape(time) : "Anytime"}</h3>
+        <div class="slot-networks">
+          ${Array.from(networks)
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(
+              ([network, entries]) => `
+            <div class="slot-network">
+              <span class="slot-network-name">${escape(network)}</span>
+              <ul>
+                ${entries
+                  .map((entry) => this.renderEpisode(entry.episode, entry.index))
+                  .join("")}
+              </ul>
+            </div>`
+            )
+            .join("")}
+        </div>
+      </div>
+    `;
+  }
+
+  renderEpisode(episode, index) {
+    const escape = (text) => this.app.escapeHtml(text);
+    const code =
+      episode.season !== null && episode.number !== null
+        ? `S${episode.season}E${episode.number}`
+        : "";
+
+    return `
+      <li>
+        <button type="button" class="schedule-episode" data-index="${index}">
+          <strong>${escape(episode.show.name)}</strong>
+          <span>${[code, escape(episode.name)].filter(Boolean).join(" · ")}</span>
+        </button>
+      </li>
+    `;
+  }
+}
+
+// Export for use in main app
+window.ScheduleView = ScheduleView;
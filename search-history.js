@@ -0,0 +1,276 @@
+/**
+ * Search History for TV Show Search App
+ * Records each search with its type, filters, result count and time, and
+ * lists them in the search interface to pin, delete or run again
+ */
+
+class SearchHistory {
+  constructor(app) {
+    this.app = app;
+    this.storageKey = "tvshow_search_history";
+    this.pausedKey = "tvshow_search_history_paused";
+    this.entries = this.load(); // Newest first
+    this.current = null; // Entry of the search on screen
+    this.isPaused = localStorage.getItem(this.pausedKey) === "true";
+
+    // Icons for the search types
+    this.types = {
+      text: "🔍",
+      channel: "📺",
+      genre: "🎯",
+    };
+
+    this.initializeElements();
+    this.attachEventListeners();
+    // render() waits for the app's router, which describes the filters
+  }
+
+  initializeElements() {
+    this.elements = {
+      list: document.getElementById("search-history-list"),
+      empty: document.getElementById("search-history-empty"),
+      pause: document.getElementById("search-history-pause"),
+      clear: document.getElementById("search-history-clear"),
+    };
+  }
+
+  attachEventListeners() {
+    this.elements.pause.addEventListener("change", (e) =>
+      this.setPaused(e.target.checked)
+    );
+    this.elements.clear.addEventListener("click", () => this.clear());
+
+    // Run, pin and delete from the list
+    this.elements.list.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-action]");
+      if (!button) return;
+      const index = Number(button.closest(".history-entry").dataset.index);
+
+      switch (button.dataset.action) {
+        case "run":
+          this.run(index);
+          break;
+        case "pin":
+          this.togglePin(index);
+          break;
+        case "delete":
+          this.remove(index);
+          break;
+      }
+    });
+  }
+
+  // Earlier versions kept bare search terms; those become text searches
+  // without a count or time
+  load() {
+    try {
+      const entries = JSON.parse(localStorage.getItem(this.storageKey) || "[]");
+      if (!Array.isArray(entries)) return [];
+
+      return entries
+        .map((entry) =>
+          typeof entry === "string"
+            ? {
+                term: entry,
+                type: "text",
+                query: `?${new URLSearchParams({ q: entry })}`,
+                count: null,
+                timestamp: null,
+                pinned: false,
+              }
+            : entry
+        )
+        .filter((entry) => entry?.term && entry.query);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  store() {
+    localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+  }
+
+  // Terms for the autocomplete dropdown, newest first
+  getTerms() {
+    const terms = this.entries
+      .filter((entry) => entry.type !== "channel")
+      .map((entry) => entry.term);
+    return [...new Set(terms)];
+  }
+
+  // Start an entry for a search; filters and count follow in update().
+  // refine replaces the term of the current entry, for search-as-you-type.
+  add(term, { type = "text", refine = false } = {}) {
+    if (this.isPaused) {
+      this.current = null;
+      return;
+    }
+
+    const previous = refine ? this.current : null;
+    const existing = this.entries.find(
+      (entry) => entry.term === term && entry.type === type
+    );
+    this.entries = this.entries.filter(
+      (entry) => entry !== existing && entry !== previous
+    );
+
+    this.current = {
+      term,
+      type,
+      query: this.getQuery(),
+      count: null,
+      timestamp: Date.now(),
+      pinned: Boolean(existing?.pinned || previous?.pinned),
+    };
+    this.entries.unshift(this.current);
+    this.trim();
+    this.store();
+    this.render();
+  }
+
+  // Keep the current entry in line with the filters and results on screen
+  update(count) {
+    if (!this.current || !this.entries.includes(this.current)) return;
+
+    const query = this.getQuery();
+    if (!query) return;
+
+    this.current.query = query;
+    this.current.count = count;
+    this.store();
+    this.render();
+  }
+
+  // The search on screen as a router query string, or null without one
+  getQuery() {
+    const state = this.app.getRouteState();
+    if (!state.q && !state.channel) return null;
+    return this.app.router.stringify({ ...state, page: 1, show: null }, "");
+  }
+
+  // Pinned entries stay; of the rest the newest search.history are kept
+  trim() {
+    const limit = window.AppConfig.get("search.history");
+    let unpinned = 0;
+    this.entries = this.entries.filter(
+      (entry) => entry.pinned || ++unpinned <= limit
+    );
+  }
+
+  // Run a past search again with the filters it had
+  run(index) {
+    const entry = this.entries[index];
+    if (!entry) return;
+
+    this.app.navigateTo(this.app.router.parse(entry.query), {
+      type: entry.type,
+    });
+  }
+
+  togglePin(index) {
+    const entry = this.entries[index];
+    if (!entry) return;
+
+    entry.pinned = !entry.pinned;
+    this.trim();
+    this.store();
+    this.render();
+    const position = this.entries.indexOf(entry);
+    this.elements.list
+      .querySelector(`[data-index="${position}"] [data-action="pin"]`)
+      ?.focus();
+  }
+
+  remove(index) {
+    const [entry] = this.entries.splice(index, 1);
+    if (!entry) return;
+    if (entry === this.current) this.current = null;
+
+    this.store();
+    this.render();
+  }
+
+  // Clear everything but the pinned entries
+  clear() {
+    const pinned = this.entries.filter((entry) => entry.pinned);
+    if (pinned.length === this.entries.length) return;
+
+    this.entries = pinned;
+    if (!pinned.includes(this.current)) this.current = null;
+    this.store();
+    this.render();
+    this.app.showToast(
+      pinned.length > 0
+        ? "History cleared, pinned searches kept"
+        : "History cleared",
+      "info"
+    );
+  }
+
+  setPaused(isPaused) {
+    this.isPaused = isPaused;
+    this.current = null;
+    localStorage.setItem(this.pausedKey, String(isPaused));
+    this.render();
+    this.app.showToast(
+      isPaused ? "Search history paused" : "Search history resumed",
+      "info"
+    );
+  }
+
+  render() {
+    const { list, empty, pause, clear } = this.elements;
+    pause.checked = this.isPaused;
+    clear.disabled = !this.entries.some((entry) => !entry.pinned);
+
+    empty.textContent = this.isPaused
+      ? "History is paused. New searches won't be recorded."
+      : "Your searches will show up here.";
+    empty.classList.toggle("hidden", this.entries.length > 0 && !this.isPaused);
+
+    // Pinned first, each group newest first
+    const items = this.entries.map((entry, index) => ({ entry, index }));
+    list.innerHTML = [
+      ...items.filter(({ entry }) => entry.pinned),
+      ...items.filter(({ entry }) => !entry.pinned),
+    ]
+      .map(({ entry, index }) => this.createItem(entry, index))
+      .join("");
+  }
+
+  createItem(entry, index) {
+    const filters = this.app.describeFilters(this.app.router.parse(entry.query));
+    const meta = [
+      entry.count !== null
+        ? `${entry.count} result${entry.count !== 1 ? "s" : ""}`
+        : null,
+      entry.timestamp ? this.app.formatRelativeTime(entry.timestamp) : null,
+    ].filter(Boolean);
+
+    return `
+      <li class="history-entry${entry.pinned ? " pinned" : ""}" data-index="${index}">
+        <button type="button" class="history-run" data-action="run">
+          <span class="history-term">${this.types[entry.type] || ""} ${this.app.escapeHtml(
+            entry.term
+          )}</span>
+          ${
+            filters.length > 0
+              ? `<span class="history-filters">${this.app.escapeHtml(
+                  filters.join(" · ")
+                )}</span>`
+              : ""
+          }
+          <span class="history-meta">${meta.join(" · ")}</span>
+        </button>
+        <div class="history-actions">
+          <button type="button" data-action="pin" aria-pressed="${entry.pinned}"
+                  aria-label="${entry.pinned ? "Unpin" : "Pin"}">📌</button>
+          <button type="button" data-action="delete" aria-label="Delete">🗑️</button>
+        </div>
+      </li>
+    `;
+  }
+}
+
+// Export for use in main app
+window.SearchHistory = SearchHistory;
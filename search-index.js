@@ -0,0 +1,238 @@
+/**
+ * Search Index for TV Show Search App
+ * In-memory inverted index over show names, alternate titles, genres and
+ * networks, with prefix and typo-tolerant (edit distance) matching
+ */
+
+class SearchIndex {
+  constructor() {
+    // How much a match in each field counts towards a show's score
+    this.fieldWeights = { name: 1, alias: 0.9, network: 0.6, genre: 0.5 };
+
+    this.docs = new Map(); // show ID -> { id, name, weight, terms, data }
+    this.postings = new Map(); // term -> Map of show ID -> best field weight
+    this.termsByLength = new Map(); // term length -> Set of terms
+  }
+
+  get size() {
+    return this.docs.size;
+  }
+
+  has(id) {
+    return this.docs.has(id);
+  }
+
+  // Add or replace a show. fields is { name, aliases, genres, network,
+  // weight }; data is whatever the caller needs back from search()
+  add(id, fields, data = null) {
+    const { name, aliases = [], genres = [], network = null, weight = 0 } =
+      fields;
+    this.remove(id);
+
+    const terms = new Map();
+    const addTerms = (text, field) => {
+      this.tokenize(text).forEach((term) => {
+        const fieldWeight = this.fieldWeights[field];
+        if ((terms.get(term) || 0) < fieldWeight) terms.set(term, fieldWeight);
+      });
+    };
+
+    addTerms(name, "name");
+    aliases.forEach((alias) => addTerms(alias, "alias"));
+    genres.forEach((genre) => addTerms(genre, "genre"));
+    addTerms(network, "network");
+
+    terms.forEach((fieldWeight, term) => {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+        if (!this.termsByLength.has(term.length)) {
+          this.termsByLength.set(term.length, new Set());
+        }
+        this.termsByLength.get(term.length).add(term);
+      }
+      this.postings.get(term).set(id, fieldWeight);
+    });
+
+    this.docs.set(id, {
+      id,
+      name: CatalogStore.normalizeTitle(name),
+      weight: weight || 0,
+      terms,
+      data,
+    });
+  }
+
+  remove(id) {
+    const doc = this.docs.get(id);
+    if (!doc) return;
+
+    doc.terms.forEach((fieldWeight, term) => {
+      const posting = this.postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+        this.termsByLength.get(term.length).delete(term);
+      }
+    });
+    this.docs.delete(id);
+  }
+
+  // Best matches as [{ id, score, data }], score 0-1. Every query word has
+  // to match some indexed word; popular shows win ties.
+  search(query, limit = 20) {
+    const tokens = this.tokenize(query);
+    if (tokens.length === 0) return [];
+
+    let scores = null;
+
+    tokens.forEach((token, index) => {
+      const isLast = index === tokens.length - 1;
+      const tokenScores = new Map();
+
+      this.findTerms(token, isLast).forEach((quality, term) => {
+        this.postings.get(term).forEach((fieldWeight, id) => {
+          const score = quality * fieldWeight;
+          if ((tokenScores.get(id) || 0) < score) tokenScores.set(id, score);
+        });
+      });
+
+      // Keep only shows that matched every word so far
+      if (scores === null) {
+        scores = tokenScores;
+      } else {
+        const combined = new Map();
+        tokenScores.forEach((score, id) => {
+          if (scores.has(id)) combined.set(id, scores.get(id) + score);
+        });
+        scores = combined;
+      }
+    });
+
+    const phrase = CatalogStore.normalizeTitle(query);
+
+    return Array.from(scores, ([id, total]) => {
+      const doc = this.docs.get(id);
+      const score = doc.name === phrase ? 1 : total / tokens.length;
+      return { id, score, weight: doc.weight, data: doc.data };
+    })
+      .sort((a, b) => b.score - a.score || b.weight - a.weight)
+      .slice(0, limit)
+      .map(({ id, score, data }) => ({ id, score, data }));
+  }
+
+  // Match quality (0-1) of a show that may not be indexed, scored the same
+  // way as search() so API results and local matches rank together
+  scoreShow({ name, aliases = [], genres = [], network = null }, query) {
+    const tokens = this.tokenize(query);
+    if (tokens.length === 0) return 0;
+
+    const phrase = CatalogStore.normalizeTitle(query);
+    if (CatalogStore.normalizeTitle(name) === phrase) return 1;
+
+    const fields = [
+      [this.tokenize(name), this.fieldWeights.name],
+      [aliases.flatMap((alias) => this.tokenize(alias)), this.fieldWeights.alias],
+      [genres.flatMap((genre) => this.tokenize(genre)), this.fieldWeights.genre],
+      [this.tokenize(network), this.fieldWeights.network],
+    ];
+
+    const total = tokens.reduce((sum, token, index) => {
+      const isLast = index === tokens.length - 1;
+      let best = 0;
+
+      fields.forEach(([terms, fieldWeight]) => {
+        terms.forEach((term) => {
+          best = Math.max(best, this.termQuality(token, term, isLast) * fieldWeight);
+        });
+      });
+      return sum + best;
+    }, 0);
+
+    return total / tokens.length;
+  }
+
+  // Indexed terms close to a query word, as a Map of term -> quality.
+  // Shorter terms than the word minus its allowed typos can't match.
+  findTerms(token, isLast) {
+    const matches = new Map();
+    const minLength = token.length - this.getMaxEdits(token);
+
+    this.termsByLength.forEach((terms, length) => {
+      if (length < minLength) return;
+
+      terms.forEach((term) => {
+        const quality = this.termQuality(token, term, isLast);
+        if (quality > 0) matches.set(term, quality);
+      });
+    });
+
+    return matches;
+  }
+
+  // 1 for the same word, less for a prefix (the word being typed, or an
+  // abbreviation) or a typo; 0 when they don't match
+  termQuality(token, term, isLast) {
+    if (token === term) return 1;
+    if (token.length >= 2 && term.startsWith(token)) return isLast ? 0.9 : 0.7;
+
+    const maxEdits = this.getMaxEdits(token);
+    if (maxEdits === 0) return 0;
+
+    const edits = this.editDistance(token, term, maxEdits);
+    return edits <= maxEdits ? 0.8 - 0.2 * (edits - 1) : 0;
+  }
+
+  // Short words must match exactly; longer ones tolerate one or two typos
+  getMaxEdits(token) {
+    if (token.length < 4) return 0;
+    return token.length < 8 ? 1 : 2;
+  }
+
+  // Levenshtein distance with adjacent transpositions, giving up once it
+  // exceeds max (returns max + 1)
+  editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previous = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(row[j] + 1, current[j - 1] + 1, row[j - 1] + cost);
+
+        if (
+          previous &&
+          i > 1 &&
+          j > 1 &&
+          a[i - 1] === b[j - 2] &&
+          a[i - 2] === b[j - 1]
+        ) {
+          value = Math.min(value, previous[j - 2] + 1);
+        }
+
+        current.push(value);
+        rowMin = Math.min(rowMin, value);
+      }
+
+      if (rowMin > max) return max + 1;
+      previous = row;
+      row = current;
+    }
+
+    return row[b.length];
+  }
+
+  // Lower-cased, accent-free words
+  tokenize(text) {
+    return CatalogStore.normalizeTitle(text)
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(Boolean);
+  }
+}
+
+// Export for use in main app
+window.SearchIndex = SearchIndex;
@@ -0,0 +1,165 @@
+/**
+ * Service Worker for TV Show Search App
+ * Precaches the app shell and serves API responses and posters offline
+ */
+
+const CACHE_VERSION = "v13";
+const SHELL_CACHE = `tvshow-shell-${CACHE_VERSION}`;
+const API_CACHE = `tvshow-api-${CACHE_VERSION}`;
+const IMAGE_CACHE = `tvshow-images-${CACHE_VERSION}`;
+const MAX_CACHED_IMAGES = 300;
+
+const APP_SHELL = [
+  "./",
+  "index.html",
+  "styles.css",
+  "config.js",
+  "runtime-config.js",
+  "analytics.js",
+  "responsive-enhancements.js",
+  "response-cache.js",
+  "request-scheduler.js",
+  "api-client.js",
+  "catalog-store.js",
+  "search-index.js",
+  "data-providers.js",
+  "schedule-view.js",
+  "release-calendar.js",
+  "query-parser.js",
+  "facet-filters.js",
+  "result-sorter.js",
+  "url-router.js",
+  "saved-searches.js",
+  "search-history.js",
+  "app.js",
+  "https://cdn.jsdelivr.net/npm/axios@1.6.0/dist/axios.min.js",
+];
+
+// The app passes its configured API host when registering the worker
+const API_ORIGIN = new URL(
+  new URL(self.location.href).searchParams.get("api") ||
+    "https://api.tvmaze.com"
+).origin;
+const IMAGE_HOST = "static.tvmaze.com";
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  const currentCaches = [SHELL_CACHE, API_CACHE, IMAGE_CACHE];
+
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => !currentCaches.includes(key))
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request, SHELL_CACHE, "index.html"));
+  } else if (url.origin === API_ORIGIN) {
+    // Catalog pages and update lists live in IndexedDB instead
+    if (isCatalogRequest(url)) return;
+    event.respondWith(networkFirst(request, API_CACHE));
+  } else if (url.hostname === IMAGE_HOST) {
+    event.respondWith(cacheFirst(request, IMAGE_CACHE));
+  } else if (isShellRequest(url)) {
+    event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+  }
+});
+
+function isCatalogRequest(url) {
+  return (
+    url.pathname.startsWith("/updates/") ||
+    (url.pathname === "/shows" && url.searchParams.has("page"))
+  );
+}
+
+function isShellRequest(url) {
+  return APP_SHELL.some(
+    (entry) => new URL(entry, self.location.href).href === url.href
+  );
+}
+
+// ===================================================================
+// CACHING STRATEGIES
+// ===================================================================
+
+// Fresh data when online, last good response when offline
+async function networkFirst(request, cacheName, fallbackUrl) {
+  const cache = await caches.open(cacheName);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached =
+      (await cache.match(request)) ||
+      (fallbackUrl && (await cache.match(fallbackUrl)));
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+// Posters never change for a given URL
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok || response.type === "opaque") {
+    await cache.put(request, response.clone());
+    trimCache(cacheName, MAX_CACHED_IMAGES);
+  }
+  return response;
+}
+
+// Serve the shell instantly and pick up new deploys in the background
+async function staleWhileRevalidate(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+
+  const network = fetch(request)
+    .then((response) => {
+      if (response.ok) {
+        cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch(() => cached);
+
+  return cached || network;
+}
+
+// Drop the oldest entries once a cache grows past its limit
+async function trimCache(cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+
+  for (let i = 0; i < keys.length - maxEntries; i++) {
+    await cache.delete(keys[i]);
+  }
+}
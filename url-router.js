@@ -0,0 +1,161 @@
+/**
+ * URL Router for TV Show Search App
+ * Keeps the search, filters, sort, view and open show in the query string,
+ * e.g. `?q=office&genre=Comedy&sort=rating&view=list`, so links can be
+ * shared and bookmarked and back/forward move between searches
+ */
+
+class UrlRouter {
+  constructor() {
+    // Multi-select facets, repeated for each value: genre=Comedy&genre=Drama
+    this.facetParams = ["genre", "network", "status", "type", "language", "country"];
+
+    // Ranges in query-language form: year=2005..2013, rating=8.., runtime=..30
+    this.rangeParams = ["year", "rating", "runtime"];
+
+    // Everything the router owns; other parameters (api=mock, debug, ...)
+    // are left as they are
+    this.params = new Set([
+      "q",
+      "channel",
+      ...this.facetParams,
+      "match",
+      ...this.rangeParams,
+      "aired",
+      "sort",
+      "then",
+      "reverse",
+      "view",
+      "favorites",
+      "page",
+      "show",
+    ]);
+  }
+
+  // Route state from a query string; missing parameters get defaults,
+  // except view, which is null so the saved view mode stays
+  parse(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    const facets = {};
+    const ranges = {};
+
+    this.facetParams.forEach((field) => {
+      facets[field] = params.getAll(field).filter(Boolean);
+    });
+    this.rangeParams.forEach((field) => {
+      ranges[field] = this.parseRange(params.get(field));
+    });
+
+    const view = params.get("view");
+    const page = parseInt(params.get("page"), 10);
+
+    return {
+      q: params.get("q")?.trim() || null,
+      channel: params.get("channel")?.trim() || null,
+      facets,
+      genreMode: params.get("match") === "any" ? "or" : "and",
+      ranges,
+      yearMode: params.has("aired") ? "aired" : "premiered",
+      sort: params.get("sort") || "relevance",
+      secondary: params.get("then") || null,
+      reverse: params.has("reverse"),
+      view: view === "list" || view === "grid" ? view : null,
+      favorites: params.has("favorites"),
+      page: page > 1 ? page : 1,
+      show: params.get("show") || null,
+    };
+  }
+
+  // Query string for a route state, keeping parameters the router doesn't own
+  stringify(state, search = window.location.search) {
+    const params = new URLSearchParams(search);
+    this.params.forEach((name) => params.delete(name));
+
+    if (state.channel) {
+      params.set("channel", state.channel);
+    } else if (state.q) {
+      params.set("q", state.q);
+    }
+
+    this.facetParams.forEach((field) => {
+      (state.facets?.[field] || []).forEach((value) =>
+        params.append(field, value)
+      );
+    });
+    if (state.genreMode === "or") params.set("match", "any");
+
+    this.rangeParams.forEach((field) => {
+      const range = this.formatRange(state.ranges?.[field]);
+      if (range) params.set(field, range);
+    });
+    if (state.yearMode === "aired") params.set("aired", "1");
+
+    if (state.sort && state.sort !== "relevance") params.set("sort", state.sort);
+    if (state.secondary) params.set("then", state.secondary);
+    if (state.reverse) params.set("reverse", "1");
+    if (state.view) params.set("view", state.view);
+    if (state.favorites) params.set("favorites", "1");
+    if (state.page > 1) params.set("page", String(state.page));
+    if (state.show) params.set("show", state.show);
+
+    const query = params.toString();
+    return query ? `?${query}` : "";
+  }
+
+  // New history entry for state; data is kept as history.state. Nothing
+  // happens when the URL wouldn't change.
+  push(state, data = {}) {
+    const url = this.getUrl(state);
+    if (url === this.getCurrentUrl()) return false;
+    history.pushState({ ...data, route: true }, "", url);
+    return true;
+  }
+
+  // Update the current history entry in place
+  replace(state) {
+    const url = this.getUrl(state);
+    if (url === this.getCurrentUrl()) return false;
+    history.replaceState({ ...history.state, route: true }, "", url);
+    return true;
+  }
+
+  // True when the current entry was pushed by the router with this flag
+  isEntry(flag) {
+    return Boolean(history.state?.route && history.state[flag]);
+  }
+
+  getUrl(state) {
+    return `${window.location.pathname}${this.stringify(state)}${
+      window.location.hash
+    }`;
+  }
+
+  getCurrentUrl() {
+    const { pathname, search, hash } = window.location;
+    return `${pathname}${search}${hash}`;
+  }
+
+  // "2005..2013", "8..", "..30" -> { min, max }; anything else is open
+  parseRange(value) {
+    const match = String(value || "").match(/^([\d.]*?)(?:\.\.([\d.]*))?$/);
+    if (!match || !value) return { min: null, max: null };
+
+    const toNumber = (text) => {
+      const number = parseFloat(text);
+      return Number.isFinite(number) ? number : null;
+    };
+    const min = toNumber(match[1]);
+    // A single value is both ends: year=2015
+    const max = match[2] === undefined ? min : toNumber(match[2]);
+    return { min, max };
+  }
+
+  formatRange(range) {
+    if (!range || (range.min === null && range.max === null)) return "";
+    if (range.min !== null && range.min === range.max) return String(range.min);
+    return `${range.min ?? ""}..${range.max ?? ""}`;
+  }
+}
+
+// Export for use in main app
+window.UrlRouter = UrlRouter;